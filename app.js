@@ -14,6 +14,7 @@ const flash = require('connect-flash');
 const passport = require('./lib/passport');
 const db = require('./lib/db');
 const multer = require('multer');
+const uploads = require('./lib/uploads');
 
 const routesIndex = require('./routes/index');
 const routesAccount = require('./routes/account');
@@ -21,6 +22,13 @@ const routesWebmail = require('./routes/webmail');
 const routesApi = require('./routes/api');
 
 const uploader = multer({ storage: multer.memoryStorage() });
+const attachmentUploader = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        files: 1,
+        fileSize: uploads.MAX_FILE_SIZE
+    }
+});
 
 const app = express();
 
@@ -167,7 +175,20 @@ app.use((req, res, next) => {
 });
 
 // setup main routes
-app.use('/account', passport.csrf, routesAccount);
+app.use(
+    '/account',
+    (req, res, next) => {
+        if (req.url === '/contacts/import' && req.method === 'POST') {
+            return uploader.single('vcard')(req, res, next);
+        }
+        if (req.url === '/senders/import' && req.method === 'POST') {
+            return uploader.single('senders')(req, res, next);
+        }
+        next();
+    },
+    passport.csrf,
+    routesAccount
+);
 
 app.use(
     '/webmail',
@@ -182,7 +203,25 @@ app.use(
     routesWebmail
 );
 
-app.use('/api', passport.csrf, passport.checkLogin, routesApi);
+app.use(
+    '/api',
+    (req, res, next) => {
+        if (req.url === '/upload' && req.method === 'POST') {
+            return attachmentUploader.single('attachment')(req, res, err => {
+                if (err) {
+                    return res.json({
+                        error: err.code === 'LIMIT_FILE_SIZE' ? 'Attachment is too large' : err.message
+                    });
+                }
+                next();
+            });
+        }
+        next();
+    },
+    passport.csrf,
+    passport.checkLogin,
+    routesApi
+);
 app.use('/', passport.csrf, routesIndex);
 
 // catch 404 and forward to error handler
@@ -261,17 +261,42 @@ module.exports = {
         search(user, args, callback) {
             args = args || {};
             args.user = user.id;
+            if (args.or) {
+                // nested OR terms are sent as or[key]=value
+                Object.keys(args.or).forEach(key => {
+                    args['or[' + key + ']'] = args.or[key];
+                });
+                delete args.or;
+            }
             _exec('get', '/users/{user}/search', args, false, user.token, callback);
         },
 
-        get(user, mailbox, message, callback) {
+        get(user, mailbox, message, args, callback) {
+            if (typeof args === 'function' && !callback) {
+                callback = args;
+                args = false;
+            }
+            // messages are marked as seen unless markAsSeen: false is set
+            args = Object.assign({ markAsSeen: true }, args || {});
+            args.user = user.id;
+            args.mailbox = mailbox;
+            args.message = message;
+            _exec('get', '/users/{user}/mailboxes/{mailbox}/messages/{message}', args, false, user.token, callback);
+        },
+
+        events(user, mailbox, message, callback) {
             _exec(
                 'get',
-                '/users/{user}/mailboxes/{mailbox}/messages/{message}?markAsSeen=true',
+                '/users/{user}/mailboxes/{mailbox}/messages/{message}/events',
                 { user: user.id, mailbox, message },
                 false,
                 user.token,
-                callback
+                (err, response) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    return callback(null, (response && response.events) || []);
+                }
             );
         },
 
@@ -285,6 +310,153 @@ module.exports = {
             request(options).pipe(res);
         },
 
+        // returns the request stream for message source, unlike raw() this does not pipe the response anywhere
+        rawStream(user, mailbox, message) {
+            let options = {
+                url: config.api.url + _render('/users/{user}/mailboxes/{mailbox}/messages/{message}/message.eml', { user: user.id, mailbox, message }),
+                headers: {
+                    'X-Access-Token': user.token
+                }
+            };
+            return request(options);
+        },
+
+        // loads message source into a Buffer, fails if the message is larger than maxSize bytes
+        fetchRaw(user, mailbox, message, maxSize, callback) {
+            let stream = module.exports.messages.rawStream(user, mailbox, message);
+            let chunks = [];
+            let chunklen = 0;
+            let finished = false;
+
+            let done = (err, content) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                callback(err, content);
+            };
+
+            stream.on('response', response => {
+                if (response.statusCode !== 200) {
+                    stream.abort();
+                    return done(new Error('Failed to load message'));
+                }
+            });
+
+            stream.on('data', chunk => {
+                chunklen += chunk.length;
+                if (chunklen > maxSize) {
+                    stream.abort();
+                    return done(new Error('Message is too large'));
+                }
+                chunks.push(chunk);
+            });
+
+            stream.on('error', done);
+            stream.on('end', () => done(null, Buffer.concat(chunks, chunklen)));
+        },
+
+        // loads only the header part of message source, the download is stopped once the header is received
+        fetchHeader(user, mailbox, message, maxSize, callback) {
+            let stream = module.exports.messages.rawStream(user, mailbox, message);
+            let chunks = [];
+            let chunklen = 0;
+            let finished = false;
+
+            let done = (err, content) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                callback(err, content);
+            };
+
+            let getHeader = () => {
+                let source = Buffer.concat(chunks, chunklen).toString('binary');
+                let match = source.match(/\r?\n\r?\n/);
+                return match ? Buffer.from(source.substr(0, match.index + match[0].length), 'binary') : false;
+            };
+
+            stream.on('response', response => {
+                if (response.statusCode !== 200) {
+                    stream.abort();
+                    return done(new Error('Failed to load message'));
+                }
+            });
+
+            stream.on('data', chunk => {
+                chunklen += chunk.length;
+                chunks.push(chunk);
+                let header = getHeader();
+                if (header) {
+                    stream.abort();
+                    return done(null, header);
+                }
+                if (chunklen > maxSize) {
+                    stream.abort();
+                    return done(new Error('Message header is too large'));
+                }
+            });
+
+            stream.on('error', done);
+            // message without a body
+            stream.on('end', () => done(null, Buffer.concat(chunks, chunklen)));
+        },
+
+        // stores raw message source in a mailbox, data: {unseen, flagged, draft, date, envelope}
+        upload(user, mailbox, raw, data, callback) {
+            data = data || {};
+            let options = {
+                method: 'POST',
+                url:
+                    config.api.url +
+                    _render('/users/{user}/mailboxes/{mailbox}/messages', {
+                        user: user.id,
+                        mailbox,
+                        unseen: data.unseen ? 'true' : '',
+                        flagged: data.flagged ? 'true' : '',
+                        draft: data.draft ? 'true' : '',
+                        date: data.date || ''
+                    }),
+                headers: {
+                    'X-Access-Token': user.token,
+                    'Content-Type': 'message/rfc822'
+                },
+                body: raw
+            };
+            if (data.envelope) {
+                // envelope can not be set in the query string, so message source is sent base64 encoded in a JSON body
+                options.headers['Content-Type'] = 'application/json';
+                options.body = JSON.stringify({ raw: raw.toString('base64'), envelope: data.envelope });
+            }
+            request(options, (err, res, body) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                let obj;
+                try {
+                    obj = JSON.parse(body);
+                } catch (E) {
+                    return callback(new Error('Invalid response state'));
+                }
+
+                if (obj.error) {
+                    let err = new Error(obj.error);
+                    if (obj.code) {
+                        err.code = obj.code;
+                    }
+                    return callback(err);
+                }
+
+                if (!obj.success) {
+                    return callback(new Error('Invalid response state'));
+                }
+
+                return callback(null, obj);
+            });
+        },
+
         update(user, mailbox, data, callback) {
             _exec('put', '/users/{user}/mailboxes/{mailbox}/messages', { user: user.id, mailbox }, data, user.token, callback);
         },
@@ -295,6 +467,10 @@ module.exports = {
 
         submit(user, data, callback) {
             _exec('post', '/users/{user}/submit', { user: user.id }, data, user.token, callback);
+        },
+
+        submitDraft(user, mailbox, message, callback) {
+            _exec('post', '/users/{user}/mailboxes/{mailbox}/messages/{message}/submit', { user: user.id, mailbox, message }, {}, user.token, callback);
         }
     },
 
@@ -309,6 +485,54 @@ module.exports = {
                 }
             };
             request(options).pipe(res);
+        },
+
+        // returns the request stream for attachment contents, unlike get() this does not copy response headers
+        stream(user, mailbox, message, attachment) {
+            let options = {
+                url:
+                    config.api.url +
+                    _render('/users/{user}/mailboxes/{mailbox}/messages/{message}/attachments/{attachment}', { user: user.id, mailbox, message, attachment }),
+                headers: {
+                    'X-Access-Token': user.token
+                }
+            };
+            return request(options);
+        },
+
+        // loads attachment contents into a Buffer, fails if the attachment is larger than maxSize bytes
+        fetch(user, mailbox, message, attachment, maxSize, callback) {
+            let stream = module.exports.attachment.stream(user, mailbox, message, attachment);
+            let chunks = [];
+            let chunklen = 0;
+            let finished = false;
+
+            let done = (err, content) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                callback(err, content);
+            };
+
+            stream.on('response', response => {
+                if (response.statusCode !== 200) {
+                    stream.abort();
+                    return done(new Error('Failed to load attachment'));
+                }
+            });
+
+            stream.on('data', chunk => {
+                chunklen += chunk.length;
+                if (chunklen > maxSize) {
+                    stream.abort();
+                    return done(new Error('Attachment is too large to be displayed'));
+                }
+                chunks.push(chunk);
+            });
+
+            stream.on('error', done);
+            stream.on('end', () => done(null, Buffer.concat(chunks, chunklen)));
         }
     },
 
@@ -0,0 +1,117 @@
+'use strict';
+
+const apiClient = require('./api-client');
+
+// Archived messages are moved to the \Archive special-use folder. If the user does not have one, then a folder
+// named "Archive" is used or created. Archives can optionally be split into yearly subfolders, eg. "Archive/2026".
+
+const ARCHIVE_PATH = 'Archive';
+
+function findArchiveMailbox(mailboxes) {
+    return (
+        mailboxes.find(mailbox => mailbox.specialUse === '\\Archive') ||
+        mailboxes.find(mailbox => (mailbox.path || '').toLowerCase() === ARCHIVE_PATH.toLowerCase())
+    );
+}
+
+// returns the folder with the given path, the folder is created if it does not exist yet
+function ensureMailbox(user, mailboxes, path, find, callback) {
+    let mailbox = find(mailboxes);
+    if (mailbox) {
+        return callback(null, { id: mailbox.id, path: mailbox.path, created: false });
+    }
+
+    apiClient.mailboxes.create(user, { path }, (err, response) => {
+        if (err) {
+            // the folder might have been created by a parallel request
+            return apiClient.mailboxes.list(user, false, (listErr, mailboxes) => {
+                let mailbox = !listErr && find(mailboxes);
+                if (!mailbox) {
+                    return callback(err);
+                }
+                callback(null, { id: mailbox.id, path: mailbox.path, created: false });
+            });
+        }
+        callback(null, { id: response.id, path, created: true });
+    });
+}
+
+// options: {byYear, year}, returns {id, path, created} of the folder where messages should be archived to
+function getArchiveMailbox(user, options, callback) {
+    apiClient.mailboxes.list(user, false, (err, mailboxes) => {
+        if (err) {
+            return callback(err);
+        }
+
+        ensureMailbox(user, mailboxes, ARCHIVE_PATH, findArchiveMailbox, (err, archive) => {
+            if (err) {
+                return callback(err);
+            }
+
+            if (!options || !options.byYear) {
+                return callback(null, archive);
+            }
+
+            let path = archive.path + '/' + (options.year || new Date().getFullYear());
+            ensureMailbox(user, mailboxes, path, mailboxes => mailboxes.find(mailbox => mailbox.path === path), (err, yearly) => {
+                if (err) {
+                    return callback(err);
+                }
+                yearly.created = yearly.created || archive.created;
+                callback(null, yearly);
+            });
+        });
+    });
+}
+
+// messages are archived to the folder of the year they were received in
+function getYear(messageData) {
+    let date = new Date(messageData.idate || messageData.date);
+    return isNaN(date.getTime()) ? new Date().getFullYear() : date.getFullYear();
+}
+
+// how many messages are looked up with a single search request
+const SEARCH_PAGE_SIZE = 250;
+
+// returns a Map of year => [message IDs] for the given messages of a folder. Dates are looked up with the search API,
+// messages that are not found are grouped under the current year
+function groupByYear(user, mailbox, messages, callback) {
+    let dates = new Map();
+
+    let loadPage = cursor => {
+        let args = {
+            mailbox,
+            id: messages.join(','),
+            limit: SEARCH_PAGE_SIZE
+        };
+        if (cursor) {
+            args.next = cursor;
+        }
+        apiClient.messages.search(user, args, (err, response) => {
+            if (err) {
+                return callback(err);
+            }
+            ((response && response.results) || []).forEach(messageData => dates.set(Number(messageData.id), getYear(messageData)));
+            if (response && response.nextCursor) {
+                return loadPage(response.nextCursor);
+            }
+
+            let years = new Map();
+            messages.forEach(message => {
+                let year = dates.get(Number(message)) || new Date().getFullYear();
+                if (!years.has(year)) {
+                    years.set(year, []);
+                }
+                years.get(year).push(message);
+            });
+            callback(null, years);
+        });
+    };
+    loadPage(false);
+}
+
+module.exports = {
+    findArchiveMailbox,
+    getArchiveMailbox,
+    groupByYear
+};
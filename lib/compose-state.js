@@ -0,0 +1,57 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+const db = require('./db');
+
+// Compose form state (field values, message HTML and attachments) that is kept in Redis for a while,
+// so it would be possible to bring a message back into the compose form, eg. when sending is undone.
+
+const KEY_PREFIX = 'compose:';
+const TTL = 24 * 3600; // seconds
+
+function stateKey(user, id) {
+    return KEY_PREFIX + user.id + ':' + id;
+}
+
+// returns attachment info without the contents, to be listed in the compose form
+function listAttachments(state) {
+    return ((state && state.attachments) || []).map((attachment, i) => ({
+        index: i,
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        sizeKb: Math.ceil(Buffer.byteLength(attachment.content || '', attachment.encoding || 'base64') / 1024)
+    }));
+}
+
+module.exports.listAttachments = listAttachments;
+
+// state: {values, html, attachments}
+module.exports.save = (user, state, callback) => {
+    let id = new ObjectID().toString();
+    db.redis.set(stateKey(user, id), JSON.stringify(state), 'EX', TTL, err => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, id);
+    });
+};
+
+module.exports.get = (user, id, callback) => {
+    db.redis.get(stateKey(user, id), (err, data) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!data) {
+            return callback(null, false);
+        }
+        try {
+            return callback(null, JSON.parse(data));
+        } catch (E) {
+            return callback(null, false);
+        }
+    });
+};
+
+module.exports.del = (user, id, callback) => {
+    db.redis.del(stateKey(user, id), err => callback(err));
+};
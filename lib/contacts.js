@@ -0,0 +1,348 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+const db = require('./db');
+const tools = require('./tools');
+
+const MAX_SEARCH_RESULTS = 10;
+
+function collection() {
+    return db.database.collection('contacts');
+}
+
+function escapeRegex(str) {
+    return (str || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toObjectID(id) {
+    try {
+        return new ObjectID(id);
+    } catch (E) {
+        return false;
+    }
+}
+
+// converts a database entry into a plain object that can be used in templates
+function formatContact(contactData) {
+    if (!contactData) {
+        return false;
+    }
+    return {
+        id: contactData._id.toString(),
+        name: contactData.name || '',
+        emails: contactData.emails || [],
+        phones: contactData.phones || [],
+        organization: contactData.organization || '',
+        note: contactData.note || '',
+        groups: contactData.groups || [],
+        created: contactData.created,
+        updated: contactData.updated
+    };
+}
+
+// normalizes user provided values before these are stored to database
+function prepareContact(data) {
+    let contact = {
+        name: (data.name || '').trim(),
+        emails: [],
+        phones: [],
+        organization: (data.organization || '').trim(),
+        note: (data.note || '').trim(),
+        groups: []
+    };
+
+    let seenAddresses = new Set();
+    (data.emails || []).forEach(email => {
+        let address = tools.normalizeAddress(email.address);
+        if (!/^[^@\s]+@[^@\s]+$/.test(address) || seenAddresses.has(address)) {
+            return;
+        }
+        seenAddresses.add(address);
+        contact.emails.push({ address, type: (email.type || '').toLowerCase() });
+    });
+
+    (data.phones || []).forEach(phone => {
+        let number = (phone.number || '').trim();
+        if (number) {
+            contact.phones.push({ number, type: (phone.type || '').toLowerCase() });
+        }
+    });
+
+    (data.groups || []).forEach(group => {
+        group = (group || '').trim();
+        if (group && !contact.groups.includes(group)) {
+            contact.groups.push(group);
+        }
+    });
+
+    if (!contact.name && contact.emails.length) {
+        contact.name = contact.emails[0].address;
+    }
+
+    return contact;
+}
+
+module.exports = {
+    formatContact,
+
+    list(user, options, callback) {
+        options = options || {};
+        let query = { user: user.id };
+        if (options.group) {
+            query.groups = options.group;
+        }
+        collection()
+            .find(query)
+            .sort({ name: 1 })
+            .toArray((err, contacts) => {
+                if (err) {
+                    return callback(err);
+                }
+                return callback(null, contacts.map(formatContact));
+            });
+    },
+
+    groups(user, callback) {
+        collection().distinct('groups', { user: user.id }, (err, groups) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, (groups || []).filter(group => group).sort((a, b) => a.localeCompare(b)));
+        });
+    },
+
+    get(user, contact, callback) {
+        let id = toObjectID(contact);
+        if (!id) {
+            return callback(null, false);
+        }
+        collection().findOne({ _id: id, user: user.id }, (err, contactData) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, formatContact(contactData));
+        });
+    },
+
+    create(user, data, callback) {
+        let contact = prepareContact(data);
+        contact.user = user.id;
+        contact.created = contact.updated = new Date();
+        collection().insertOne(contact, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, r.insertedId.toString());
+        });
+    },
+
+    update(user, contact, data, callback) {
+        let id = toObjectID(contact);
+        if (!id) {
+            return callback(null, false);
+        }
+        let updates = prepareContact(data);
+        updates.updated = new Date();
+        collection().updateOne({ _id: id, user: user.id }, { $set: updates }, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, !!r.matchedCount);
+        });
+    },
+
+    del(user, contact, callback) {
+        let id = toObjectID(contact);
+        if (!id) {
+            return callback(null, false);
+        }
+        collection().deleteOne({ _id: id, user: user.id }, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, !!r.deletedCount);
+        });
+    },
+
+    import(user, contacts, callback) {
+        let now = new Date();
+        let entries = [].concat(contacts || []).map(data => {
+            let contact = prepareContact(data);
+            contact.user = user.id;
+            contact.created = contact.updated = now;
+            return contact;
+        });
+
+        if (!entries.length) {
+            return callback(null, 0);
+        }
+
+        collection().insertMany(entries, { ordered: false }, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, r.insertedCount);
+        });
+    },
+
+    // stores addresses from a sent message as recently used recipients
+    recordRecipients(user, addresses, callback) {
+        let now = new Date();
+        let seen = new Set();
+        let operations = [];
+
+        let walk = list => {
+            [].concat(list || []).forEach(entry => {
+                if (!entry) {
+                    return;
+                }
+                if (entry.group) {
+                    return walk(entry.group);
+                }
+                let address = tools.normalizeAddress(entry.address);
+                if (!/^[^@\s]+@[^@\s]+$/.test(address) || seen.has(address)) {
+                    return;
+                }
+                seen.add(address);
+
+                let update = {
+                    $inc: { count: 1 },
+                    $set: { lastUsed: now },
+                    $setOnInsert: { created: now }
+                };
+                let name = (entry.name || '').trim();
+                if (name && name !== address) {
+                    update.$set.name = name;
+                }
+
+                operations.push({
+                    updateOne: {
+                        filter: { user: user.id, address },
+                        update,
+                        upsert: true
+                    }
+                });
+            });
+        };
+        walk(addresses);
+
+        if (!operations.length) {
+            return callback(null, 0);
+        }
+
+        db.database.collection('recipients').bulkWrite(operations, { ordered: false }, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, r.upsertedCount + r.modifiedCount);
+        });
+    },
+
+    // returns matching contacts, groups and recently used recipients for recipient autocomplete,
+    // most frequently used addresses come first
+    search(user, query, callback) {
+        query = (query || '').trim();
+        if (!query) {
+            return callback(null, []);
+        }
+
+        let regex = new RegExp(escapeRegex(query), 'i');
+        let prefixRegex = new RegExp('^' + escapeRegex(query), 'i');
+
+        collection()
+            .find({
+                user: user.id,
+                $or: [{ name: regex }, { 'emails.address': regex }, { groups: prefixRegex }]
+            })
+            .sort({ name: 1 })
+            .limit(100)
+            .toArray((err, contacts) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                db.database
+                    .collection('recipients')
+                    .find({
+                        user: user.id,
+                        $or: [{ name: regex }, { address: regex }]
+                    })
+                    .sort({ count: -1, lastUsed: -1 })
+                    .limit(100)
+                    .toArray((err, recipients) => {
+                        if (err) {
+                            return callback(err);
+                        }
+
+                        let addresses = new Map();
+                        let groups = new Map();
+
+                        contacts.forEach(contactData => {
+                            let contact = formatContact(contactData);
+
+                            contact.groups.forEach(group => {
+                                if (prefixRegex.test(group)) {
+                                    if (!groups.has(group)) {
+                                        groups.set(group, []);
+                                    }
+                                    groups.get(group).push(contact);
+                                }
+                            });
+
+                            if (!regex.test(contact.name) && !contact.emails.some(email => regex.test(email.address))) {
+                                return;
+                            }
+
+                            contact.emails.forEach(email => {
+                                if (!addresses.has(email.address)) {
+                                    addresses.set(email.address, {
+                                        name: contact.name,
+                                        address: email.address,
+                                        count: 0,
+                                        lastUsed: 0
+                                    });
+                                }
+                            });
+                        });
+
+                        recipients.forEach(recipient => {
+                            let entry = addresses.get(recipient.address);
+                            if (!entry) {
+                                entry = {
+                                    name: recipient.name || '',
+                                    address: recipient.address
+                                };
+                                addresses.set(recipient.address, entry);
+                            }
+                            entry.count = recipient.count || 0;
+                            entry.lastUsed = recipient.lastUsed ? recipient.lastUsed.getTime() : 0;
+                        });
+
+                        let results = Array.from(addresses.values())
+                            .sort((a, b) => b.count - a.count || b.lastUsed - a.lastUsed || (a.name || a.address).localeCompare(b.name || b.address))
+                            .map(entry => ({
+                                name: entry.name,
+                                address: entry.address
+                            }));
+
+                        // selecting a group adds all addresses of its members
+                        groups.forEach((members, group) => {
+                            let addresses = [];
+                            members.forEach(contact => {
+                                if (contact.emails.length) {
+                                    addresses.push({ name: contact.name, address: contact.emails[0].address });
+                                }
+                            });
+                            if (addresses.length) {
+                                results.unshift({
+                                    group,
+                                    addresses
+                                });
+                            }
+                        });
+
+                        return callback(null, results.slice(0, MAX_SEARCH_RESULTS));
+                    });
+            });
+    }
+};
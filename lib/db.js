@@ -5,9 +5,50 @@ const mongodb = require('mongodb');
 const Redis = require('ioredis');
 const MongoClient = mongodb.MongoClient;
 
+module.exports.client = false;
 module.exports.database = false;
 module.exports.redis = false;
 
+// indexes for the collections that are managed by the webmail itself
+const indexes = [
+    {
+        collection: 'contacts',
+        index: { name: 'user_contacts', key: { user: 1, name: 1 } }
+    },
+    {
+        collection: 'contacts',
+        index: { name: 'user_contact_groups', key: { user: 1, groups: 1 } }
+    },
+    {
+        collection: 'recipients',
+        index: { name: 'user_recipient', key: { user: 1, address: 1 }, unique: true }
+    },
+    {
+        collection: 'recipients',
+        index: { name: 'user_recipient_usage', key: { user: 1, count: -1, lastUsed: -1 } }
+    },
+    {
+        collection: 'settings',
+        index: { name: 'user_settings', key: { user: 1 }, unique: true }
+    },
+    {
+        collection: 'searches',
+        index: { name: 'user_searches', key: { user: 1, name: 1 } }
+    },
+    {
+        collection: 'signatures',
+        index: { name: 'user_signature', key: { user: 1, address: 1 }, unique: true }
+    },
+    {
+        collection: 'unsubscribes',
+        index: { name: 'user_unsubscribes', key: { user: 1, created: -1 } }
+    },
+    {
+        collection: 'templates',
+        index: { name: 'user_templates', key: { user: 1, name: 1 } }
+    }
+];
+
 let getDBConnection = (main, config, callback) => {
     if (main) {
         if (!config) {
@@ -33,15 +74,39 @@ let getDBConnection = (main, config, callback) => {
     );
 };
 
+let ensureIndexes = (database, callback) => {
+    let pos = 0;
+    let processNext = () => {
+        if (pos >= indexes.length) {
+            return callback();
+        }
+        let entry = indexes[pos++];
+        database.collection(entry.collection).createIndexes([entry.index], err => {
+            if (err) {
+                return callback(err);
+            }
+            setImmediate(processNext);
+        });
+    };
+    processNext();
+};
+
 module.exports.connect = callback => {
-    getDBConnection(false, config.dbs.mongo, (err, db) => {
+    getDBConnection(false, config.dbs.mongo, (err, client) => {
         if (err) {
             return callback(err);
         }
-        module.exports.database = db;
+        module.exports.client = client;
+        // uses the database name from the connection string
+        module.exports.database = client.db();
 
         module.exports.redis = new Redis(config.dbs.redis);
 
-        return callback(null, module.exports.database);
+        ensureIndexes(module.exports.database, err => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, module.exports.database);
+        });
     });
 };
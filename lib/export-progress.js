@@ -0,0 +1,56 @@
+'use strict';
+
+const db = require('./db');
+
+// Progress information for running mailbox exports. Exports are streamed as file downloads, so the
+// page that started the download polls the progress over the API using a client generated ID.
+
+const KEY_PREFIX = 'export:';
+const TTL = 3600; // seconds
+
+function progressKey(user, id) {
+    return KEY_PREFIX + user.id + ':' + id;
+}
+
+module.exports.start = (user, id, total, callback) => {
+    db.redis
+        .multi()
+        .hmset(progressKey(user, id), {
+            total: total || 0,
+            processed: 0,
+            finished: 0
+        })
+        .expire(progressKey(user, id), TTL)
+        .exec(err => callback(err));
+};
+
+module.exports.increment = (user, id, callback) => {
+    db.redis.hincrby(progressKey(user, id), 'processed', 1, err => callback(err));
+};
+
+module.exports.finish = (user, id, error, callback) => {
+    let data = {
+        finished: 1
+    };
+    if (error) {
+        data.error = error;
+    }
+    db.redis.hmset(progressKey(user, id), data, err => callback(err));
+};
+
+module.exports.get = (user, id, callback) => {
+    db.redis.hgetall(progressKey(user, id), (err, data) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!data) {
+            return callback(null, false);
+        }
+        callback(null, {
+            total: Number(data.total) || 0,
+            processed: Number(data.processed) || 0,
+            finished: data.finished === '1',
+            error: data.error || false
+        });
+    });
+};
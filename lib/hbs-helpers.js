@@ -34,6 +34,21 @@ hbs.registerHelper('flash_messages', function() {
         let rows = [];
 
         messages[key].forEach(message => {
+            if (message && typeof message === 'object') {
+                // structured message with an "undo send" button
+                let row = hbs.handlebars.escapeExpression(message.message);
+                if (message.undo && this.csrfToken && message.expires > Date.now()) {
+                    row +=
+                        ' <form method="post" action="/webmail/send/undo" class="undo-send" style="display: inline;" data-remaining="' +
+                        (Number(message.expires) - Date.now()) +
+                        '"><input type="hidden" name="_csrf" value="' +
+                        hbs.handlebars.escapeExpression(this.csrfToken) +
+                        '"><input type="hidden" name="id" value="' +
+                        hbs.handlebars.escapeExpression(message.undo) +
+                        '"><button type="submit" class="btn btn-default btn-xs">Undo</button></form>';
+                }
+                return rows.push(row);
+            }
             rows.push(hbs.handlebars.escapeExpression(message));
         });
 
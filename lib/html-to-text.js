@@ -0,0 +1,70 @@
+'use strict';
+
+const { htmlToText: convert } = require('html-to-text');
+
+// Converts HTML message content into plain text that is used as the text/plain alternative
+// for HTML messages. Links are converted into numbered footnotes and quoted content is
+// prefixed with "> " the same way as in plain text replies.
+
+const options = {
+    // line lengths are left to the receiving client
+    wordwrap: false,
+    formatters: {
+        // link text is followed by a footnote number, link URLs are listed after the message body
+        footnoteAnchor: (elem, walk, builder) => {
+            let href = ((elem.attribs && elem.attribs.href) || '').trim();
+            if (!/^(https?|ftp|mailto):/i.test(href)) {
+                return walk(elem.children, builder);
+            }
+
+            let text = '';
+            builder.pushWordTransform(str => {
+                text += str || '';
+                return str;
+            });
+            walk(elem.children, builder);
+            builder.popWordTransform();
+
+            if (text === href || text === href.replace(/^mailto:/i, '')) {
+                // link text is the URL itself, no need for a footnote
+                return;
+            }
+
+            let links = builder.metadata.links;
+            let index = links.indexOf(href);
+            if (index < 0) {
+                links.push(href);
+                index = links.length - 1;
+            }
+            builder.addInline((text ? ' ' : '') + '[' + (index + 1) + ']', { noWordTransform: true });
+        },
+        // image sources are cid: or data: URIs that are useless in plain text, so only the alt text is kept
+        imageAlt: (elem, walk, builder) => {
+            let alt = ((elem.attribs && elem.attribs.alt) || '').trim();
+            if (alt) {
+                builder.addInline('[' + alt + ']');
+            }
+        }
+    },
+    selectors: [
+        { selector: 'a', format: 'footnoteAnchor' },
+        { selector: 'img', format: 'imageAlt' },
+        { selector: 'h1', options: { uppercase: false } },
+        { selector: 'h2', options: { uppercase: false } },
+        { selector: 'h3', options: { uppercase: false } },
+        { selector: 'h4', options: { uppercase: false } },
+        { selector: 'h5', options: { uppercase: false } },
+        { selector: 'h6', options: { uppercase: false } }
+    ]
+};
+
+function htmlToText(html) {
+    let metadata = { links: [] };
+    let text = convert(html || '', options, metadata).trim();
+    if (metadata.links.length) {
+        text += '\n\n' + metadata.links.map((link, i) => '[' + (i + 1) + '] ' + link).join('\n');
+    }
+    return text;
+}
+
+module.exports = htmlToText;
@@ -0,0 +1,181 @@
+'use strict';
+
+const Transform = require('stream').Transform;
+
+// Helpers for generating and parsing mbox files (mboxrd variant). Every message starts with a "From " separator
+// line, message lines that look like separators are escaped by prefixing these with ">" and line endings are
+// converted to LF.
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// incomplete lines are buffered only up to this length
+const MAX_LINE_LENGTH = 1024 * 1024;
+
+// returns the separator line for a message, date is formatted in asctime format, eg. "Thu Jan  4 09:05:00 2018"
+function formatFromLine(address, date) {
+    date = new Date(date || Date.now());
+    if (date.toString() === 'Invalid Date') {
+        date = new Date();
+    }
+
+    let pad = num => (num < 10 ? '0' : '') + num;
+
+    let dateStr = [
+        DAYS[date.getUTCDay()],
+        MONTHS[date.getUTCMonth()],
+        (date.getUTCDate() < 10 ? ' ' : '') + date.getUTCDate(),
+        [pad(date.getUTCHours()), pad(date.getUTCMinutes()), pad(date.getUTCSeconds())].join(':'),
+        date.getUTCFullYear()
+    ].join(' ');
+
+    // separator line is space delimited, so the address can not include any whitespace
+    address = (address || '').replace(/\s+/g, '') || 'MAILER-DAEMON';
+
+    return 'From ' + address + ' ' + dateStr + '\n';
+}
+
+function escapeLine(line) {
+    line = line.replace(/\r$/, '');
+    return /^>*From /.test(line) ? '>' + line : line;
+}
+
+// Transform stream that converts raw RFC822 message contents into a mbox message body
+class MboxEscape extends Transform {
+    constructor(options) {
+        super(options);
+        this.remainder = '';
+        // set if the beginning of the current line has already been written out
+        this.partial = false;
+    }
+
+    _transform(chunk, encoding, done) {
+        // binary encoding keeps the original bytes intact
+        let lines = (this.remainder + chunk.toString('binary')).split('\n');
+        this.remainder = lines.pop();
+
+        if (lines.length) {
+            this.push(Buffer.from(lines.map((line, i) => this.formatLine(line, i === 0)).join('\n') + '\n', 'binary'));
+            this.partial = false;
+        }
+
+        // only the beginning of a line matters for escaping, so the rest of a long line is written out as is
+        if (this.remainder.length > MAX_LINE_LENGTH) {
+            this.push(Buffer.from(this.formatLine(this.remainder, !lines.length), 'binary'));
+            this.remainder = '';
+            this.partial = true;
+        }
+        done();
+    }
+
+    _flush(done) {
+        if (this.remainder || this.partial) {
+            // message must always end with a line break
+            this.push(Buffer.from(this.formatLine(this.remainder, true) + '\n', 'binary'));
+        }
+        done();
+    }
+
+    formatLine(line, first) {
+        return first && this.partial ? line.replace(/\r$/, '') : escapeLine(line);
+    }
+}
+
+// Transform stream that splits a mbox file into messages. Emits objects {raw, date, error}, where raw is
+// the message source with CRLF line endings and date is the delivery date from the separator line.
+// Messages larger than maxSize bytes are emitted with an error instead of contents.
+class MboxSplit extends Transform {
+    constructor(options) {
+        options = options || {};
+        super({ readableObjectMode: true });
+        this.maxSize = options.maxSize || Infinity;
+        this.maxLineLength = options.maxLineLength || MAX_LINE_LENGTH;
+        this.remainder = '';
+        this.started = false;
+        this.message = false;
+    }
+
+    _transform(chunk, encoding, done) {
+        let lines = (this.remainder + chunk.toString('binary')).split('\n');
+        this.remainder = lines.pop();
+
+        for (let line of lines) {
+            if (!this.processLine(line.replace(/\r$/, ''))) {
+                return done(new Error('Uploaded file is not a valid mbox file'));
+            }
+        }
+
+        if (this.remainder.length > this.maxLineLength) {
+            return done(new Error('Uploaded file is not a valid mbox file, line is too long'));
+        }
+        done();
+    }
+
+    _flush(done) {
+        if (this.remainder && !this.processLine(this.remainder.replace(/\r$/, ''))) {
+            return done(new Error('Uploaded file is not a valid mbox file'));
+        }
+        this.emitMessage();
+        done();
+    }
+
+    processLine(line) {
+        let lastLine = this.message && this.message.lines.length ? this.message.lines[this.message.lines.length - 1] : '';
+
+        if (/^From /.test(line) && (!this.started || !lastLine)) {
+            this.started = true;
+            this.emitMessage();
+
+            // "From sender@example.com Thu Jan  4 09:05:00 2018"
+            let date = new Date(line.replace(/^From\s+\S*\s+/, '').trim() + ' GMT');
+            this.message = {
+                lines: [],
+                size: 0,
+                date: date.toString() !== 'Invalid Date' ? date : false,
+                tooLarge: false
+            };
+            return true;
+        }
+
+        if (!this.started) {
+            // ignore empty lines at the beginning of the file
+            return !line.trim();
+        }
+
+        this.message.size += line.length + 2;
+        if (this.message.size > this.maxSize) {
+            // contents are not needed anymore, only keep the last line for detecting separators
+            this.message.tooLarge = true;
+            this.message.lines = [line];
+            return true;
+        }
+
+        this.message.lines.push(line.replace(/^>(>*From )/, '$1'));
+        return true;
+    }
+
+    emitMessage() {
+        let message = this.message;
+        if (!message) {
+            return;
+        }
+        this.message = false;
+
+        if (message.tooLarge) {
+            return this.push({ raw: false, date: message.date, error: 'Message is too large' });
+        }
+
+        let lines = message.lines;
+        if (lines.length && !lines[lines.length - 1]) {
+            // empty line before the next separator line is not part of the message
+            lines.pop();
+        }
+        this.push({ raw: Buffer.from(lines.join('\r\n') + '\r\n', 'binary'), date: message.date });
+    }
+}
+
+module.exports = {
+    formatFromLine,
+    MboxEscape,
+    MboxSplit
+};
@@ -0,0 +1,211 @@
+'use strict';
+
+const Transform = require('stream').Transform;
+const Writable = require('stream').Writable;
+const unzipper = require('unzipper');
+const libmime = require('libmime');
+const mbox = require('./mbox');
+
+// Splits uploaded .eml, mbox and ZIP files into separate messages. Uploads are processed as streams,
+// so only a single message is kept in memory at a time.
+
+const MAX_MESSAGE_SIZE = 64 * 1024 * 1024;
+
+// mbox files often do not have any extension, so everything that is not a .eml or a ZIP file is handled as mbox
+function getFileType(filename) {
+    let extension = ((filename || '').match(/\.([^./\\]+)$/) || [])[1] || '';
+    switch (extension.toLowerCase()) {
+        case 'eml':
+            return 'eml';
+        case 'zip':
+            return 'zip';
+        default:
+            return 'mbox';
+    }
+}
+
+// reads stream contents into a Buffer, returns false instead of contents if the stream is larger than maxSize
+function collect(stream, maxSize, callback) {
+    let chunks = [];
+    let chunklen = 0;
+    let tooLarge = false;
+
+    stream.on('data', chunk => {
+        if (tooLarge) {
+            return;
+        }
+        chunklen += chunk.length;
+        if (chunklen > maxSize) {
+            tooLarge = true;
+            chunks = [];
+            return;
+        }
+        chunks.push(chunk);
+    });
+    stream.once('error', err => callback(err));
+    stream.once('end', () => callback(null, tooLarge ? false : Buffer.concat(chunks, chunklen)));
+}
+
+// Transform stream that emits the entire input as a single message
+class EmlParse extends Transform {
+    constructor(options) {
+        super({ readableObjectMode: true });
+        this.name = options.name;
+        this.maxSize = options.maxSize;
+        this.chunks = [];
+        this.chunklen = 0;
+    }
+
+    _transform(chunk, encoding, done) {
+        this.chunklen += chunk.length;
+        if (this.chunklen <= this.maxSize) {
+            this.chunks.push(chunk);
+        } else {
+            this.chunks = [];
+        }
+        done();
+    }
+
+    _flush(done) {
+        if (this.chunklen > this.maxSize) {
+            this.push({ raw: false, name: this.name, error: 'Message is too large' });
+        } else {
+            this.push({ raw: Buffer.concat(this.chunks, this.chunklen), name: this.name });
+        }
+        done();
+    }
+}
+
+// Transform stream that converts ZIP entries into messages, entries that are not .eml files are skipped
+class ZipEntries extends Transform {
+    constructor(options) {
+        super({ objectMode: true });
+        this.maxSize = options.maxSize;
+    }
+
+    _transform(entry, encoding, done) {
+        if (entry.type !== 'File' || getFileType(entry.path) !== 'eml') {
+            entry.autodrain();
+            return done();
+        }
+
+        collect(entry, this.maxSize, (err, raw) => {
+            if (err) {
+                return done(err);
+            }
+            let name = entry.path.split('/').pop();
+            if (!raw) {
+                this.push({ raw: false, name, error: 'Message is too large' });
+            } else {
+                this.push({ raw, name });
+            }
+            done();
+        });
+    }
+}
+
+// Processes an uploaded file. onMessage(message, done) is called for every message {raw, name, date, error}
+// and the next message is not processed until done() is called. Parsing errors end processing of the file.
+function parse(input, filename, onMessage, callback) {
+    let streams;
+    switch (getFileType(filename)) {
+        case 'eml':
+            streams = [new EmlParse({ name: filename, maxSize: MAX_MESSAGE_SIZE })];
+            break;
+        case 'zip':
+            streams = [new unzipper.Parse({ forceStream: true }), new ZipEntries({ maxSize: MAX_MESSAGE_SIZE })];
+            break;
+        default:
+            streams = [new mbox.MboxSplit({ maxSize: MAX_MESSAGE_SIZE })];
+    }
+
+    let finished = false;
+    let done = err => {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        if (err) {
+            // consume the rest of the upload, otherwise the request would never finish
+            input.unpipe();
+            input.resume();
+        }
+        callback(err);
+    };
+
+    let writer = new Writable({
+        objectMode: true,
+        write: (message, encoding, next) => onMessage(message, () => next())
+    });
+
+    let source = input;
+    input.once('error', done);
+    streams.concat(writer).forEach(stream => {
+        stream.once('error', done);
+        source = source.pipe(stream);
+    });
+    writer.once('finish', () => done());
+}
+
+// Detects flags and date for an imported message from the message headers. Status, X-Status and
+// X-Mozilla-Status headers are set by mbox based mail clients, messages without these are imported as seen.
+function getMessageInfo(raw, date) {
+    let info = {
+        subject: '',
+        unseen: false,
+        flagged: false,
+        draft: false,
+        date: false
+    };
+
+    if (!raw) {
+        return info;
+    }
+
+    let source = raw.slice(0, 64 * 1024).toString('binary');
+    let match = source.match(/\r?\n\r?\n/);
+    let headers = {};
+    (match ? source.substr(0, match.index) : source)
+        .replace(/\r?\n[ \t]+/g, ' ')
+        .split(/\r?\n/)
+        .forEach(line => {
+            let parts = line.match(/^([^:\s]+)\s*:\s*(.*)$/);
+            if (parts) {
+                let key = parts[1].toLowerCase();
+                if (!headers[key]) {
+                    headers[key] = parts[2].trim();
+                }
+            }
+        });
+
+    try {
+        info.subject = libmime.decodeWords(Buffer.from(headers.subject || '', 'binary').toString());
+    } catch (E) {
+        info.subject = headers.subject || '';
+    }
+
+    let mozillaStatus = parseInt(headers['x-mozilla-status'], 16);
+
+    if (headers.status) {
+        info.unseen = !/R/.test(headers.status);
+    } else if (!isNaN(mozillaStatus)) {
+        info.unseen = !(mozillaStatus & 0x0001); // eslint-disable-line no-bitwise
+    }
+
+    info.flagged = /F/.test(headers['x-status'] || '') || (!isNaN(mozillaStatus) && !!(mozillaStatus & 0x0004)); // eslint-disable-line no-bitwise
+    info.draft = /T/.test(headers['x-status'] || '');
+
+    if (!date && headers.date) {
+        date = new Date(headers.date);
+    }
+    if (date && date.toString() !== 'Invalid Date') {
+        info.date = date.toISOString();
+    }
+
+    return info;
+}
+
+module.exports = {
+    parse,
+    getMessageInfo
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const log = require('npmlog');
+const ObjectID = require('mongodb').ObjectID;
+const libmime = require('libmime');
+const apiClient = require('./api-client');
+
+// Redirected (bounced) messages are sent to new recipients as is, only Resent-* headers are added on top of
+// the original header. Message is uploaded as a draft with a custom envelope and then submitted, so the
+// redirected copy ends up in the Sent Mail folder.
+
+const MAX_MESSAGE_SIZE = 25 * 1024 * 1024;
+
+function formatAddress(address) {
+    if (!address.name) {
+        return '<' + address.address + '>';
+    }
+    // quote names that include special characters unless these are encoded anyway
+    let name = /^[\x20-\x7e]*$/.test(address.name) ? '"' + address.name.replace(/["\\]/g, '\\$&') + '"' : libmime.encodeWords(address.name, 'Q', 52);
+    return name + ' <' + address.address + '>';
+}
+
+// from is {name, address}, to is a list of {name, address}
+function getResentHeaders(from, to, date) {
+    let domain = from.address.substr(from.address.lastIndexOf('@') + 1) || 'localhost';
+    return [
+        'Resent-From: ' + formatAddress(from),
+        'Resent-To: ' + to.map(formatAddress).join(', '),
+        'Resent-Date: ' + (date || new Date()).toUTCString().replace(/GMT/, '+0000'),
+        'Resent-Message-ID: <' + new ObjectID().toString() + '@' + domain + '>'
+    ]
+        .map(line => libmime.foldLines(line, 76))
+        .join('\r\n');
+}
+
+// options: {drafts, from, to}, where drafts is the ID of the Drafts folder used for the temporary copy
+function redirectMessage(user, mailbox, message, options, callback) {
+    apiClient.messages.fetchRaw(user, mailbox, message, MAX_MESSAGE_SIZE, (err, raw) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let source = Buffer.concat([Buffer.from(getResentHeaders(options.from, options.to) + '\r\n'), raw]);
+
+        apiClient.messages.upload(
+            user,
+            options.drafts,
+            source,
+            {
+                draft: true,
+                envelope: {
+                    from: options.from,
+                    to: options.to
+                }
+            },
+            (err, response) => {
+                if (err) {
+                    return callback(err);
+                }
+                if (!response.message) {
+                    return callback(new Error('Failed to store message for sending'));
+                }
+                apiClient.messages.submitDraft(user, response.message.mailbox, response.message.id, (err, result) => {
+                    if (!err) {
+                        return callback(null, result);
+                    }
+                    // the temporary copy would otherwise be left to the Drafts folder
+                    apiClient.messages.delete(user, response.message.mailbox, response.message.id, deleteErr => {
+                        if (deleteErr) {
+                            log.error('Redirect', 'Failed to remove draft user=%s message=%s error=%s', user.id, response.message.id, deleteErr.message);
+                        }
+                        callback(err);
+                    });
+                });
+            }
+        );
+    });
+}
+
+module.exports = {
+    getResentHeaders,
+    redirectMessage
+};
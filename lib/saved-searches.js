@@ -0,0 +1,163 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+const db = require('./db');
+const apiClient = require('./api-client');
+const queryParser = require('./search-query');
+
+// Search queries that are saved as virtual folders. Virtual folders are listed in the sidebar next to
+// real mailboxes, folder ID is the search ID prefixed with "saved-", eg. "saved-5d8f2a..."
+
+const MAX_SAVED_SEARCHES = 50;
+const FOLDER_PREFIX = 'saved-';
+
+function collection() {
+    return db.database.collection('searches');
+}
+
+function toObjectID(id) {
+    try {
+        return new ObjectID(id);
+    } catch (E) {
+        return false;
+    }
+}
+
+// converts a database entry into a plain object that can be used in templates
+function formatSearch(searchData) {
+    if (!searchData) {
+        return false;
+    }
+    let id = searchData._id.toString();
+    return {
+        id,
+        folder: FOLDER_PREFIX + id,
+        name: searchData.name || '',
+        query: searchData.query || '',
+        created: searchData.created,
+        updated: searchData.updated
+    };
+}
+
+function prepareSearch(data) {
+    return {
+        name: (data.name || '').trim(),
+        query: (data.query || '').trim()
+    };
+}
+
+// returns search ID for a virtual folder ID or false if this is not a virtual folder
+function parseFolder(folder) {
+    let match = (folder || '').match(/^saved-([a-f0-9]{24})$/);
+    return match ? match[1] : false;
+}
+
+// returns arguments for the message search API, mailboxes are needed to resolve "in:" terms
+function getSearchArgs(search, mailboxes) {
+    // saved queries are validated when stored, so unsupported terms are ignored here
+    return queryParser.parse(search.query, mailboxes).args;
+}
+
+module.exports = {
+    MAX_SAVED_SEARCHES,
+
+    parseFolder,
+    getSearchArgs,
+
+    list(user, callback) {
+        collection()
+            .find({ user: user.id })
+            .sort({ name: 1 })
+            .toArray((err, searches) => {
+                if (err) {
+                    return callback(err);
+                }
+                return callback(null, searches.map(formatSearch));
+            });
+    },
+
+    get(user, search, callback) {
+        let id = toObjectID(search);
+        if (!id) {
+            return callback(null, false);
+        }
+        collection().findOne({ _id: id, user: user.id }, (err, searchData) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, formatSearch(searchData));
+        });
+    },
+
+    create(user, data, callback) {
+        collection().countDocuments({ user: user.id }, (err, count) => {
+            if (err) {
+                return callback(err);
+            }
+            if (count >= MAX_SAVED_SEARCHES) {
+                return callback(new Error('Too many saved searches'));
+            }
+
+            let search = prepareSearch(data);
+            search.user = user.id;
+            search.created = search.updated = new Date();
+            collection().insertOne(search, (err, r) => {
+                if (err) {
+                    return callback(err);
+                }
+                return callback(null, r.insertedId.toString());
+            });
+        });
+    },
+
+    update(user, search, data, callback) {
+        let id = toObjectID(search);
+        if (!id) {
+            return callback(null, false);
+        }
+        let updates = prepareSearch(data);
+        updates.updated = new Date();
+        collection().updateOne({ _id: id, user: user.id }, { $set: updates }, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, !!r.matchedCount);
+        });
+    },
+
+    del(user, search, callback) {
+        let id = toObjectID(search);
+        if (!id) {
+            return callback(null, false);
+        }
+        collection().deleteOne({ _id: id, user: user.id }, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, !!r.deletedCount);
+        });
+    },
+
+    // returns a map of virtual folder ID => number of unseen messages
+    countUnseen(user, searches, mailboxes, callback) {
+        let counters = {};
+        let pos = 0;
+        let processNext = () => {
+            if (pos >= searches.length) {
+                return callback(null, counters);
+            }
+            let search = searches[pos++];
+            let args = getSearchArgs(search, mailboxes);
+            args.unseen = true;
+            args.limit = 1;
+            apiClient.messages.search(user, args, (err, response) => {
+                if (err) {
+                    return callback(err);
+                }
+                counters[search.folder] = (response && response.total) || 0;
+                setImmediate(processNext);
+            });
+        };
+        processNext();
+    }
+};
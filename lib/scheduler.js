@@ -0,0 +1,583 @@
+'use strict';
+
+const config = require('wild-config');
+const log = require('npmlog');
+const ObjectID = require('mongodb').ObjectID;
+const db = require('./db');
+const apiClient = require('./api-client');
+const uploads = require('./uploads');
+const contacts = require('./contacts');
+
+// Scheduled messages are stored as drafts, the jobs that submit these drafts are kept in Redis
+// so pending messages are not lost when webmail is restarted. Jobs are run with the API access token of the webmail,
+// user session tokens are not stored as these expire or are revoked on logout before the job runs.
+//   scheduled:queue        - sorted set of job ids, score is the send time
+//   scheduled:processing   - sorted set of job ids that are being sent, score is the time the lease expires
+//   scheduled:jobs         - hash of job id => JSON encoded job data
+//   scheduled:user:{user}  - set of job ids for an user
+//   scheduled:payload:{id} - message data for delayed "submit" jobs (undo send), these are not stored as drafts
+//   scheduled:failed:{user} - list of failure notices that are shown to the user on the next page load
+
+const QUEUE_KEY = 'scheduled:queue';
+const JOBS_KEY = 'scheduled:jobs';
+const PROCESSING_KEY = 'scheduled:processing';
+const POLL_INTERVAL = 1000;
+// jobs that are not finished in this time (ms) are returned to the queue, eg. if webmail was restarted while sending
+const LEASE_TIME = 5 * 60 * 1000;
+const BATCH_SIZE = 10;
+// how many failure notices are kept for an user
+const MAX_FAILURES = 20;
+
+// Moves a job from the queue to the processing set, so only a single process gets to run it.
+// KEYS: queue key, processing key. ARGV: job id, lease expiration time. Returns 1 if the job was claimed
+const CLAIM_SCRIPT = `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then
+    return 0
+end
+redis.call('ZADD', KEYS[2], ARGV[2], ARGV[1])
+return 1
+`;
+
+// Returns jobs with expired leases to the queue.
+// KEYS: queue key, processing key. ARGV: current time. Returns the count of returned jobs
+const RECOVER_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[2], 0, ARGV[1])
+for _, id in ipairs(ids) do
+    redis.call('ZREM', KEYS[2], id)
+    redis.call('ZADD', KEYS[1], ARGV[1], id)
+end
+return #ids
+`;
+
+let pollTimer = false;
+
+function userKey(user) {
+    return 'scheduled:user:' + user;
+}
+
+function payloadKey(id) {
+    return 'scheduled:payload:' + id;
+}
+
+function failuresKey(user) {
+    return 'scheduled:failed:' + user;
+}
+
+function parseJob(data) {
+    if (!data) {
+        return false;
+    }
+    try {
+        return JSON.parse(data);
+    } catch (E) {
+        return false;
+    }
+}
+
+// returns job data without internal fields, safe to be used in templates
+function formatJob(job) {
+    return {
+        id: job.id,
+        mailbox: job.mailbox,
+        message: job.message,
+        subject: job.subject || '',
+        to: job.to || '',
+        sendTime: new Date(job.sendTime).toISOString(),
+        sendTimeValue: job.sendTime,
+        created: new Date(job.created).toISOString(),
+        error: job.error || false
+    };
+}
+
+function storeJob(job, callback) {
+    db.redis
+        .multi()
+        .hset(JOBS_KEY, job.id, JSON.stringify(job))
+        .sadd(userKey(job.user), job.id)
+        .exec(err => callback(err));
+}
+
+function getJob(user, id, callback) {
+    db.redis.hget(JOBS_KEY, id, (err, data) => {
+        if (err) {
+            return callback(err);
+        }
+        let job = parseJob(data);
+        if (!job || job.user !== user.id) {
+            return callback(null, false);
+        }
+        callback(null, job);
+    });
+}
+
+function removeJob(job, callback) {
+    db.redis
+        .multi()
+        .zrem(QUEUE_KEY, job.id)
+        .zrem(PROCESSING_KEY, job.id)
+        .hdel(JOBS_KEY, job.id)
+        .srem(userKey(job.user), job.id)
+        .del(payloadKey(job.id))
+        .exec(err => callback(err));
+}
+
+function getPayload(id, callback) {
+    db.redis.get(payloadKey(id), (err, data) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, parseJob(data));
+    });
+}
+
+// stores a notice for the user about a message that could not be sent, message describes what happened
+function addFailure(job, message, callback) {
+    db.redis
+        .multi()
+        .rpush(failuresKey(job.user), JSON.stringify({ subject: job.subject || '', message }))
+        .ltrim(failuresKey(job.user), -MAX_FAILURES, -1)
+        .exec(err => {
+            if (err) {
+                log.error('Scheduler', 'Failed to store failure notice user=%s job=%s error=%s', job.user, job.id, err.message);
+            }
+            callback();
+        });
+}
+
+module.exports.formatJob = formatJob;
+
+// jobs are run without an user session, so the webmail needs an API access token of its own
+module.exports.enabled = () => !!config.api.accessToken;
+
+// returns and removes failure notices for the user, see addFailure()
+module.exports.takeFailures = (user, callback) => {
+    db.redis
+        .multi()
+        .lrange(failuresKey(user.id), 0, -1)
+        .del(failuresKey(user.id))
+        .exec((err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            let failures = ((result && result[0] && result[0][1]) || []).map(parseJob).filter(failure => failure);
+            callback(null, failures);
+        });
+};
+
+// data: {mailbox, message, sendTime, subject, to}
+module.exports.schedule = (user, data, callback) => {
+    if (!module.exports.enabled()) {
+        return callback(new Error('Scheduled sending is not available'));
+    }
+
+    let job = {
+        id: new ObjectID().toString(),
+        user: user.id,
+        mailbox: data.mailbox,
+        message: data.message,
+        subject: data.subject || '',
+        to: data.to || '',
+        sendTime: new Date(data.sendTime).getTime(),
+        created: Date.now()
+    };
+
+    storeJob(job, err => {
+        if (err) {
+            return callback(err);
+        }
+        db.redis.zadd(QUEUE_KEY, job.sendTime, job.id, err => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, job.id);
+        });
+    });
+};
+
+module.exports.list = (user, callback) => {
+    db.redis.smembers(userKey(user.id), (err, ids) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!ids || !ids.length) {
+            return callback(null, []);
+        }
+        db.redis.hmget(JOBS_KEY, ids, (err, list) => {
+            if (err) {
+                return callback(err);
+            }
+            let jobs = list
+                .map(parseJob)
+                .filter(job => job && job.user === user.id && job.type !== 'submit')
+                .sort((a, b) => a.sendTime - b.sendTime || a.created - b.created)
+                .map(formatJob);
+            callback(null, jobs);
+        });
+    });
+};
+
+module.exports.get = (user, id, callback) => {
+    getJob(user, id, (err, job) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, job ? formatJob(job) : false);
+    });
+};
+
+module.exports.reschedule = (user, id, sendTime, callback) => {
+    if (!module.exports.enabled()) {
+        return callback(new Error('Scheduled sending is not available'));
+    }
+
+    getJob(user, id, (err, job) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!job) {
+            return callback(new Error('Unknown scheduled message'));
+        }
+
+        job.sendTime = new Date(sendTime).getTime();
+        delete job.error;
+
+        storeJob(job, err => {
+            if (err) {
+                return callback(err);
+            }
+            db.redis.zadd(QUEUE_KEY, job.sendTime, job.id, err => callback(err));
+        });
+    });
+};
+
+// Submits message data after a delay, used to allow undoing sent messages.
+// data: {messageData, values, html, removeDraft, uploads, delay}, where uploads lists {session, ids} of inline image
+// uploads that are removed once the message has been submitted
+module.exports.submitLater = (user, data, callback) => {
+    if (!module.exports.enabled()) {
+        return callback(new Error('Undo send is not available'));
+    }
+
+    let job = {
+        id: new ObjectID().toString(),
+        type: 'submit',
+        user: user.id,
+        subject: data.messageData.subject || '',
+        sendTime: Date.now() + data.delay * 1000,
+        created: Date.now()
+    };
+
+    let payload = {
+        messageData: data.messageData,
+        values: data.values,
+        html: data.html,
+        removeDraft: data.removeDraft || false,
+        uploads: data.uploads || false
+    };
+
+    db.redis.set(payloadKey(job.id), JSON.stringify(payload), err => {
+        if (err) {
+            return callback(err);
+        }
+        storeJob(job, err => {
+            if (err) {
+                return callback(err);
+            }
+            db.redis.zadd(QUEUE_KEY, job.sendTime, job.id, err => {
+                if (err) {
+                    return callback(err);
+                }
+                callback(null, job.id, job.sendTime);
+            });
+        });
+    });
+};
+
+// Removes a pending delayed submission and returns its payload. Returns false if the
+// message has already been sent or is being sent at the moment.
+module.exports.takeSubmit = (user, id, callback) => {
+    getJob(user, id, (err, job) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!job || job.type !== 'submit') {
+            return callback(null, false);
+        }
+        db.redis.zrem(QUEUE_KEY, job.id, (err, removed) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!removed) {
+                return callback(null, false);
+            }
+            getPayload(job.id, (err, payload) => {
+                if (err) {
+                    return callback(err);
+                }
+                removeJob(job, err => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    callback(null, payload);
+                });
+            });
+        });
+    });
+};
+
+// removes the job, the draft message itself is left in place
+module.exports.cancel = (user, id, callback) => {
+    getJob(user, id, (err, job) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!job) {
+            return callback(new Error('Unknown scheduled message'));
+        }
+        removeJob(job, callback);
+    });
+};
+
+// Drafts get a new ID every time these are saved. If replacement is set then jobs for the
+// old draft are moved to the new one, otherwise these jobs are removed
+module.exports.replaceMessage = (user, mailbox, message, replacement, callback) => {
+    module.exports.list(user, (err, jobs) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let matching = jobs.filter(job => job.mailbox === mailbox && Number(job.message) === Number(message));
+        let pos = 0;
+        let processNext = () => {
+            if (pos >= matching.length) {
+                return callback();
+            }
+            getJob(user, matching[pos++].id, (err, job) => {
+                if (err) {
+                    return callback(err);
+                }
+                if (!job) {
+                    return setImmediate(processNext);
+                }
+                if (!replacement) {
+                    return removeJob(job, err => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        setImmediate(processNext);
+                    });
+                }
+                job.mailbox = replacement.mailbox;
+                job.message = replacement.id;
+                storeJob(job, err => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    setImmediate(processNext);
+                });
+            });
+        };
+        processNext();
+    });
+};
+
+// remembers used addresses for recipient suggestions, this is done only once the message has been sent
+function recordRecipients(user, job, recipients) {
+    contacts.recordRecipients(user, recipients, err => {
+        if (err) {
+            log.error('Contacts', 'Failed to store recipients for user=%s error=%s', job.user, err.message);
+        }
+    });
+}
+
+// returns the recipients of a scheduled draft, these are read before sending as the draft is removed once it is sent
+function getDraftRecipients(user, job, callback) {
+    apiClient.messages.get(user, job.mailbox, job.message, { markAsSeen: false }, (err, messageData) => {
+        if (err) {
+            // sending the message does not depend on this
+            log.error('Scheduler', 'Failed to load recipients user=%s job=%s error=%s', job.user, job.id, err.message);
+            return callback([]);
+        }
+        callback([].concat(messageData.to || [], messageData.cc || [], messageData.bcc || []));
+    });
+}
+
+function runJob(id, callback) {
+    db.redis.hget(JOBS_KEY, id, (err, data) => {
+        if (err) {
+            return callback(err);
+        }
+        let job = parseJob(data);
+        if (!job) {
+            return callback();
+        }
+
+        let user = {
+            id: job.user,
+            token: config.api.accessToken
+        };
+
+        if (job.type === 'submit') {
+            return runSubmitJob(user, job, callback);
+        }
+
+        getDraftRecipients(user, job, recipients => {
+            apiClient.messages.submitDraft(user, job.mailbox, job.message, (err, response) => {
+                if (err) {
+                    // keep failed jobs around so the user could see what happened and reschedule
+                    log.error('Scheduler', 'Failed to send scheduled message user=%s job=%s error=%s', job.user, job.id, err.message);
+                    job.error = err.message;
+                    return storeJob(job, err => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        addFailure(job, job.error + '. The message was kept in Drafts.', callback);
+                    });
+                }
+
+                log.info('Scheduler', 'Sent scheduled message user=%s job=%s queueId=%s', job.user, job.id, (response && response.queueId) || '');
+                recordRecipients(user, job, recipients);
+                removeJob(job, callback);
+            });
+        });
+    });
+}
+
+function runSubmitJob(user, job, callback) {
+    getPayload(job.id, (err, payload) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!payload) {
+            return removeJob(job, callback);
+        }
+
+        // inline images are included in the submitted message or in the stored draft
+        let finish = () => {
+            if (!payload.uploads) {
+                return removeJob(job, callback);
+            }
+            uploads.del(user, payload.uploads.session, payload.uploads.ids, err => {
+                if (err) {
+                    log.error('Scheduler', 'Failed to remove uploads user=%s job=%s error=%s', job.user, job.id, err.message);
+                }
+                removeJob(job, callback);
+            });
+        };
+
+        apiClient.messages.submit(user, payload.messageData, (err, response) => {
+            if (err) {
+                log.error('Scheduler', 'Failed to submit delayed message user=%s job=%s error=%s', job.user, job.id, err.message);
+                // do not lose the message, store it to Drafts instead
+                let submitError = err;
+                let messageData = Object.assign({}, payload.messageData, { isDraft: true, uploadOnly: true });
+                return apiClient.messages.submit(user, messageData, err => {
+                    let message = submitError.message + '. ';
+                    if (err) {
+                        log.error('Scheduler', 'Failed to store undeliverable message as draft user=%s job=%s error=%s', job.user, job.id, err.message);
+                        message += 'Storing the message to Drafts failed as well.';
+                    } else {
+                        message += 'The message was stored to Drafts.';
+                    }
+                    addFailure(job, message, finish);
+                });
+            }
+
+            log.info('Scheduler', 'Submitted delayed message user=%s job=%s queueId=%s', job.user, job.id, (response && response.queueId) || '');
+
+            // recipients are recorded only now, as sending could have been undone until this point
+            let messageData = payload.messageData;
+            recordRecipients(user, job, [].concat(messageData.to || [], messageData.cc || [], messageData.bcc || []));
+
+            let removeDraft = done => {
+                if (!payload.removeDraft) {
+                    return done();
+                }
+                apiClient.messages.delete(user, payload.removeDraft.mailbox, payload.removeDraft.id, () => done());
+            };
+
+            removeDraft(finish);
+        });
+    });
+}
+
+function recoverJobs(callback) {
+    db.redis.eval(RECOVER_SCRIPT, 2, QUEUE_KEY, PROCESSING_KEY, Date.now(), (err, recovered) => {
+        if (err) {
+            return callback(err);
+        }
+        if (recovered) {
+            log.info('Scheduler', 'Returned %s unfinished jobs to the queue', recovered);
+        }
+        callback();
+    });
+}
+
+function processQueue(callback) {
+    db.redis.zrangebyscore(QUEUE_KEY, 0, Date.now(), 'LIMIT', 0, BATCH_SIZE, (err, ids) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let pos = 0;
+        let processNext = () => {
+            if (pos >= (ids || []).length) {
+                return callback();
+            }
+            let id = ids[pos++];
+            // only the process that manages to claim the entry gets to run the job
+            db.redis.eval(CLAIM_SCRIPT, 2, QUEUE_KEY, PROCESSING_KEY, id, Date.now() + LEASE_TIME, (err, claimed) => {
+                if (err) {
+                    return callback(err);
+                }
+                if (!claimed) {
+                    return setImmediate(processNext);
+                }
+                runJob(id, err => {
+                    if (err) {
+                        // the job is retried once the lease expires
+                        log.error('Scheduler', 'Failed to process job=%s error=%s', id, err.message);
+                        return setImmediate(processNext);
+                    }
+                    db.redis.zrem(PROCESSING_KEY, id, err => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        setImmediate(processNext);
+                    });
+                });
+            });
+        };
+        processNext();
+    });
+}
+
+module.exports.start = () => {
+    if (pollTimer) {
+        return;
+    }
+
+    if (!module.exports.enabled()) {
+        log.info('Scheduler', 'API access token is not set, scheduled sending and undo send are disabled');
+        return;
+    }
+
+    let poll = () => {
+        // jobs of a previous process that were interrupted by a restart are returned to the queue once the lease expires
+        recoverJobs(err => {
+            if (err) {
+                log.error('Scheduler', 'Failed to recover unfinished jobs error=%s', err.message);
+            }
+            processQueue(err => {
+                if (err) {
+                    log.error('Scheduler', 'Failed to process scheduled messages error=%s', err.message);
+                }
+                pollTimer = setTimeout(poll, POLL_INTERVAL);
+                pollTimer.unref();
+            });
+        });
+    };
+
+    pollTimer = setTimeout(poll, POLL_INTERVAL);
+    pollTimer.unref();
+};
@@ -0,0 +1,276 @@
+'use strict';
+
+// Parses search queries into arguments for the message search API. Supported syntax:
+//   word "exact phrase"     full text search
+//   -word -"exact phrase"   full text search, excludes matching messages
+//   from:, to:, subject:    header values, eg. from:"John Doe"
+//   in:                     folder name or path, or a special folder: inbox, sent, drafts, trash, junk, archive
+//   has:attachment          messages with attachments
+//   is:unread, is:starred   message flags
+//   larger:, smaller:       message size, eg. larger:500K or smaller:2M
+//   after:, before:         message date, eg. after:2019-01-31
+//   a OR b                  either of the terms must match, only full text, from:, to: and subject: terms
+//                           can be combined this way
+// Some conditions can not be negated or combined with OR as the search API does not support it, these are
+// reported as errors instead of being silently ignored.
+
+const SPECIAL_FOLDERS = {
+    inbox: 'INBOX',
+    sent: '\\Sent',
+    drafts: '\\Drafts',
+    trash: '\\Trash',
+    junk: '\\Junk',
+    spam: '\\Junk',
+    archive: '\\Archive'
+};
+
+const SIZE_UNITS = {
+    '': 1,
+    k: 1024,
+    m: 1024 * 1024,
+    g: 1024 * 1024 * 1024
+};
+
+// keys that are handled as search conditions, other "key:value" terms are searched as text
+const CONDITION_KEYS = ['from', 'to', 'subject', 'in', 'has', 'is', 'unseen', 'flagged', 'larger', 'smaller', 'after', 'before', 'start', 'end'];
+
+// keys that are accepted with the OR operator
+const OR_KEYS = ['text', 'from', 'to', 'subject'];
+
+// splits a query string into terms {key, value, negated, quoted}, "OR" between terms is returned as {or: true}
+function tokenize(query) {
+    let terms = [];
+    let re = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    while ((match = re.exec(query || ''))) {
+        let negated = !!match[1];
+        let key = (match[2] || '').toLowerCase();
+        let quoted = typeof match[3] === 'string';
+        let value = quoted ? match[3] : match[4] || '';
+
+        if (!key && !negated && !quoted && value === 'OR') {
+            terms.push({ or: true });
+            continue;
+        }
+
+        if (!key && !quoted && value === '-') {
+            continue;
+        }
+
+        terms.push({
+            key: key || 'text',
+            value: value.trim(),
+            negated,
+            quoted
+        });
+    }
+    return terms;
+}
+
+// groups terms that are joined with OR, returns a list of term groups
+function groupTerms(terms) {
+    let groups = [];
+    let joinNext = false;
+    terms.forEach(term => {
+        if (term.or) {
+            joinNext = groups.length > 0;
+            return;
+        }
+        if (joinNext) {
+            groups[groups.length - 1].push(term);
+        } else {
+            groups.push([term]);
+        }
+        joinNext = false;
+    });
+    return groups;
+}
+
+function parseSize(value) {
+    let match = (value || '').match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+    if (!match) {
+        return false;
+    }
+    return Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+function parseDate(value) {
+    let date = new Date(value);
+    if (!value || date.toString() === 'Invalid Date') {
+        return false;
+    }
+    return date;
+}
+
+function findMailbox(mailboxes, value) {
+    let name = (value || '').toLowerCase();
+    let specialUse = SPECIAL_FOLDERS[name];
+    return (
+        (mailboxes || []).find(mailbox => {
+            if (specialUse) {
+                return specialUse === 'INBOX' ? mailbox.path === 'INBOX' : mailbox.specialUse === specialUse;
+            }
+            return (mailbox.path || '').toLowerCase() === name;
+        }) || (mailboxes || []).find(mailbox => (mailbox.name || '').toLowerCase() === name)
+    );
+}
+
+function formatText(term) {
+    let value = term.quoted ? '"' + term.value + '"' : term.value;
+    return (term.negated ? '-' : '') + value;
+}
+
+// returns {args, errors}, where args can be used with the search API and errors lists unsupported terms
+function parse(query, mailboxes) {
+    let args = {};
+    let errors = [];
+    let text = [];
+
+    let setValue = (key, value, term) => {
+        if (args[key] && args[key] !== value) {
+            errors.push('Only a single ' + term.key + ': term is supported');
+            return;
+        }
+        args[key] = value;
+    };
+
+    let applyTerm = term => {
+        if (term.negated && CONDITION_KEYS.includes(term.key)) {
+            errors.push('Negation is not supported for ' + term.key + ': terms');
+            return;
+        }
+
+        if (!term.value) {
+            return;
+        }
+
+        switch (term.key) {
+            case 'text':
+                text.push(formatText(term));
+                break;
+
+            case 'from':
+            case 'to':
+            case 'subject':
+                setValue(term.key, term.value, term);
+                break;
+
+            case 'in': {
+                let mailbox = findMailbox(mailboxes, term.value);
+                if (!mailbox) {
+                    errors.push('Unknown folder "' + term.value + '"');
+                    break;
+                }
+                setValue('mailbox', mailbox.id, term);
+                break;
+            }
+
+            case 'has':
+                if (/^attachments?$/i.test(term.value)) {
+                    args.attachments = true;
+                } else {
+                    errors.push('Unknown value for has: "' + term.value + '"');
+                }
+                break;
+
+            case 'is':
+                switch (term.value.toLowerCase()) {
+                    case 'unread':
+                    case 'unseen':
+                        args.unseen = true;
+                        break;
+                    case 'starred':
+                    case 'flagged':
+                        args.flagged = true;
+                        break;
+                    default:
+                        errors.push('Unknown value for is: "' + term.value + '"');
+                }
+                break;
+
+            // older syntax, kept for existing links
+            case 'unseen':
+            case 'flagged':
+                if (/yes|true|1|y/i.test(term.value)) {
+                    args[term.key] = true;
+                }
+                break;
+
+            case 'larger':
+            case 'smaller': {
+                let size = parseSize(term.value);
+                if (!size) {
+                    errors.push('Invalid size "' + term.value + '"');
+                    break;
+                }
+                args[term.key === 'larger' ? 'minSize' : 'maxSize'] = size;
+                break;
+            }
+
+            case 'after':
+            case 'before':
+            case 'start':
+            case 'end': {
+                let date = parseDate(term.value);
+                if (!date) {
+                    errors.push('Invalid date "' + term.value + '"');
+                    break;
+                }
+                args[['after', 'start'].includes(term.key) ? 'datestart' : 'dateend'] = date.toISOString();
+                break;
+            }
+
+            default:
+                // unknown keys are most probably a part of the searched text, eg. "re:"
+                text.push(formatText({ value: term.key + ':' + term.value, quoted: false, negated: term.negated }));
+        }
+    };
+
+    let hasOr = false;
+    groupTerms(tokenize(query)).forEach(group => {
+        if (group.length === 1) {
+            return applyTerm(group[0]);
+        }
+
+        if (hasOr) {
+            errors.push('Only a single OR condition is supported');
+            return;
+        }
+        hasOr = true;
+
+        let or = {};
+        group.forEach(term => {
+            if (term.negated) {
+                errors.push('Negated terms can not be combined with OR');
+                return;
+            }
+            if (!OR_KEYS.includes(term.key)) {
+                errors.push('OR can only be used with full text, from:, to: and subject: terms');
+                return;
+            }
+            let key = term.key === 'text' ? 'query' : term.key;
+            if (or[key]) {
+                if (key === 'query') {
+                    // full text search matches any of the words anyway
+                    or.query += ' ' + formatText(term);
+                    return;
+                }
+                errors.push('OR can not be used with several ' + term.key + ': terms');
+                return;
+            }
+            or[key] = key === 'query' ? formatText(term) : term.value;
+        });
+        args.or = or;
+    });
+
+    if (text.length) {
+        args.query = text.join(' ');
+    }
+
+    return { args, errors };
+}
+
+module.exports = {
+    tokenize,
+    parse
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+const Joi = require('joi');
+const apiClient = require('./api-client');
+
+// Blocked and trusted senders are stored as generated filters that match the From: header. Generated filters are
+// recognized by the name prefix, the rest of the name is the blocked or trusted address or domain. Every sender
+// can be listed only once, adding it to another list replaces the existing filter.
+
+const LISTS = {
+    // messages are moved to the Junk Mail folder
+    spam: { prefix: 'Block sender ', blocked: true, action: { spam: true } },
+    // messages are deleted
+    delete: { prefix: 'Block and delete sender ', blocked: true, action: { delete: true } },
+    // messages are never marked as spam
+    trust: { prefix: 'Trust sender ', blocked: false, action: { spam: false } }
+};
+
+const addressSchema = Joi.string().email();
+const domainSchema = Joi.string().hostname();
+
+// returns {type, value} for an address or a domain, or false if the value is not valid
+function parseSender(value) {
+    value = (value || '')
+        .trim()
+        .replace(/^<|>$/g, '')
+        .toLowerCase();
+
+    if (!value) {
+        return false;
+    }
+
+    if (/^[^@]+@[^@]+$/.test(value)) {
+        return !Joi.validate(value, addressSchema).error && { type: 'address', value };
+    }
+
+    // "@example.com" is accepted for domains as well
+    value = value.replace(/^@/, '');
+    if (value.indexOf('.') < 0 || Joi.validate(value, domainSchema).error) {
+        return false;
+    }
+    return { type: 'domain', value };
+}
+
+// parses a plain text list of senders, returns {senders, invalid}
+function parseSenders(text) {
+    let senders = [];
+    let invalid = [];
+    (text || '')
+        // lines starting with # are comments
+        .replace(/^\s*#.*$/gm, '')
+        .split(/[\s,;]+/)
+        .map(value => value.trim())
+        .filter(value => value)
+        .forEach(value => {
+            let sender = parseSender(value);
+            if (!sender) {
+                return invalid.push(value);
+            }
+            if (!senders.find(entry => entry.value === sender.value)) {
+                senders.push(sender);
+            }
+        });
+    return { senders, invalid };
+}
+
+// From: header filters match substrings, so domains are anchored to the closing bracket of the address. Otherwise
+// "@example.com" would also match "@example.community"
+function getQuery(sender) {
+    return sender.type === 'domain' ? '@' + sender.value + '>' : sender.value;
+}
+
+function parseFilter(filter) {
+    let list = Object.keys(LISTS).find(key => (filter.name || '').indexOf(LISTS[key].prefix) === 0);
+    let sender = list && parseSender(filter.name.substr(LISTS[list].prefix.length));
+    if (!sender) {
+        return false;
+    }
+    return {
+        id: filter.id.toString(),
+        list,
+        blocked: LISTS[list].blocked,
+        type: sender.type,
+        value: sender.value
+    };
+}
+
+// returns all blocked and trusted senders
+function list(user, callback) {
+    apiClient.filters.list(user, (err, filters) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(
+            null,
+            filters
+                .map(parseFilter)
+                .filter(entry => entry)
+                .sort((a, b) => a.value.localeCompare(b.value))
+        );
+    });
+}
+
+// adds senders to a list, returns the count of added senders
+function add(user, senders, listName, callback) {
+    let listData = LISTS[listName];
+    if (!listData) {
+        return callback(new Error('Unknown sender list'));
+    }
+
+    list(user, (err, existing) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let added = 0;
+        let pos = 0;
+        let processNext = () => {
+            if (pos >= senders.length) {
+                return callback(null, added);
+            }
+            let sender = senders[pos++];
+            let entries = existing.filter(entry => entry.value === sender.value);
+
+            if (entries.find(entry => entry.list === listName)) {
+                return setImmediate(processNext);
+            }
+
+            // entries from other lists would conflict with the new filter
+            let removeEntries = done => {
+                let entry = entries.shift();
+                if (!entry) {
+                    return done();
+                }
+                apiClient.filters.del(user, entry.id, err => {
+                    if (err) {
+                        return done(err);
+                    }
+                    removeEntries(done);
+                });
+            };
+
+            removeEntries(err => {
+                if (err) {
+                    return callback(err);
+                }
+                apiClient.filters.create(
+                    user,
+                    {
+                        name: listData.prefix + sender.value,
+                        query: {
+                            from: getQuery(sender)
+                        },
+                        action: listData.action
+                    },
+                    err => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        added++;
+                        setImmediate(processNext);
+                    }
+                );
+            });
+        };
+        processNext();
+    });
+}
+
+// removes a sender from its list, filters that are not generated sender filters are not touched
+function remove(user, id, callback) {
+    list(user, (err, existing) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!existing.find(entry => entry.id === id)) {
+            let err = new Error('Sender was not found');
+            err.code = 'NotFound';
+            return callback(err);
+        }
+        apiClient.filters.del(user, id, callback);
+    });
+}
+
+module.exports = {
+    LISTS,
+    parseSender,
+    parseSenders,
+    list,
+    add,
+    remove
+};
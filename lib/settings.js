@@ -0,0 +1,57 @@
+'use strict';
+
+const config = require('wild-config');
+const db = require('./db');
+
+// seconds, the delay can not be longer than this
+const MAX_UNDO_SEND_DELAY = 30;
+
+function collection() {
+    return db.database.collection('settings');
+}
+
+// webmail specific user preferences, values that are not set fall back to these
+function getDefaults() {
+    return {
+        undoSendDelay: Math.max(Math.min(Number(config.www.undoSendDelay) || 0, MAX_UNDO_SEND_DELAY), 0),
+        // either "html" or "text"
+        composeFormat: 'html',
+        keyboardShortcuts: true,
+        // archived messages are stored in a subfolder for the year these were received in, eg. "Archive/2026"
+        archiveByYear: false
+    };
+}
+
+module.exports.MAX_UNDO_SEND_DELAY = MAX_UNDO_SEND_DELAY;
+module.exports.getDefaults = getDefaults;
+
+module.exports.get = (user, callback) => {
+    collection().findOne({ user: user.id }, (err, settingsData) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, Object.assign(getDefaults(), (settingsData && settingsData.settings) || {}));
+    });
+};
+
+module.exports.update = (user, updates, callback) => {
+    let $set = {
+        updated: new Date()
+    };
+    Object.keys(updates || {}).forEach(key => {
+        $set['settings.' + key] = updates[key];
+    });
+
+    collection().updateOne(
+        { user: user.id },
+        {
+            $set,
+            $setOnInsert: {
+                user: user.id,
+                created: new Date()
+            }
+        },
+        { upsert: true },
+        err => callback(err)
+    );
+};
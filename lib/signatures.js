@@ -0,0 +1,58 @@
+'use strict';
+
+const db = require('./db');
+
+// HTML signatures for identities, identities themselves are managed by WildDuck
+
+function collection() {
+    return db.database.collection('signatures');
+}
+
+// returns an object where keys are identity IDs and values are signature HTML strings
+module.exports.list = (user, callback) => {
+    collection()
+        .find({ user: user.id })
+        .toArray((err, list) => {
+            if (err) {
+                return callback(err);
+            }
+            let signatures = {};
+            (list || []).forEach(entry => {
+                signatures[entry.address] = entry.html;
+            });
+            callback(null, signatures);
+        });
+};
+
+module.exports.get = (user, address, callback) => {
+    collection().findOne({ user: user.id, address }, (err, entry) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, (entry && entry.html) || '');
+    });
+};
+
+// an empty value removes the signature
+module.exports.set = (user, address, html, callback) => {
+    html = (html || '').trim();
+    if (!html) {
+        return module.exports.del(user, address, callback);
+    }
+
+    collection().updateOne(
+        { user: user.id, address },
+        {
+            $set: {
+                html,
+                updated: new Date()
+            }
+        },
+        { upsert: true },
+        err => callback(err)
+    );
+};
+
+module.exports.del = (user, address, callback) => {
+    collection().deleteOne({ user: user.id, address }, err => callback(err));
+};
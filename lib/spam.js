@@ -0,0 +1,104 @@
+'use strict';
+
+const apiClient = require('./api-client');
+const senders = require('./senders');
+
+// Reported messages are moved to or from the Junk Mail folder. Senders of the reported messages can be added to
+// the block list or to the trusted senders list as well, see senders.js.
+
+// sender addresses are looked up only for this many reported messages
+const MAX_SENDER_LOOKUPS = 50;
+
+// returns unique sender addresses of the listed messages
+function getSenders(user, mailbox, messages, callback) {
+    let addresses = [];
+    let pos = 0;
+    let processNext = () => {
+        if (pos >= Math.min(messages.length, MAX_SENDER_LOOKUPS)) {
+            return callback(null, addresses);
+        }
+        let message = messages[pos++];
+        apiClient.messages.get(user, mailbox, message, { markAsSeen: false }, (err, messageData) => {
+            if (err) {
+                return callback(err);
+            }
+            let from = [].concat(messageData.from || messageData.sender || [])[0];
+            let address = from && (from.address || '').trim().toLowerCase();
+            if (address && !addresses.includes(address)) {
+                addresses.push(address);
+            }
+            setImmediate(processNext);
+        });
+    };
+    processNext();
+}
+
+// options: {mailbox, message, spam, sender}, where message is a list of message IDs and sender indicates
+// if the senders should be blocked or trusted. Returns the move response of the API.
+function report(user, options, callback) {
+    apiClient.mailboxes.list(user, false, (err, mailboxes) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let mailbox = mailboxes.find(box => box.id === options.mailbox);
+        let junk = mailboxes.find(box => box.specialUse === '\\Junk');
+        let inbox = mailboxes.find(box => box.path === 'INBOX');
+
+        if (!mailbox) {
+            return callback(new Error('Invalid mailbox'));
+        }
+
+        if (!junk) {
+            return callback(new Error('Junk Mail folder was not found'));
+        }
+
+        if (options.spam && mailbox.id === junk.id) {
+            return callback(new Error('Messages are already in the Junk Mail folder'));
+        }
+
+        if (!options.spam && mailbox.id !== junk.id) {
+            return callback(new Error('Messages are not in the Junk Mail folder'));
+        }
+
+        let target = options.spam ? junk : inbox;
+
+        let processFilters = done => {
+            if (!options.sender) {
+                return done(null, 0);
+            }
+            getSenders(user, mailbox.id, options.message, (err, addresses) => {
+                if (err) {
+                    return done(err);
+                }
+                senders.add(user, addresses.map(value => ({ type: 'address', value })), options.spam ? 'spam' : 'trust', done);
+            });
+        };
+
+        processFilters((err, filters) => {
+            if (err) {
+                return callback(err);
+            }
+
+            apiClient.messages.update(
+                user,
+                mailbox.id,
+                {
+                    message: options.message.join(','),
+                    moveTo: target.id
+                },
+                (err, response) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    response.filters = filters;
+                    callback(null, response);
+                }
+            );
+        });
+    });
+}
+
+module.exports = {
+    report
+};
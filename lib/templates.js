@@ -0,0 +1,120 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+const db = require('./db');
+
+// Reusable message templates (canned responses). Template subject and body may include
+// placeholders that are replaced in the message composer when the template is applied
+const PLACEHOLDERS = [
+    { key: 'recipient_name', description: 'Name of the first recipient' },
+    { key: 'recipient_first_name', description: 'First name of the first recipient' },
+    { key: 'recipient_address', description: 'E-mail address of the first recipient' },
+    { key: 'original_subject', description: 'Subject of the message you are replying to or forwarding' },
+    { key: 'sender_name', description: 'Name of the selected From identity' }
+];
+
+function collection() {
+    return db.database.collection('templates');
+}
+
+function toObjectID(id) {
+    try {
+        return new ObjectID(id);
+    } catch (E) {
+        return false;
+    }
+}
+
+// converts a database entry into a plain object that can be used in templates
+function formatTemplate(templateData) {
+    if (!templateData) {
+        return false;
+    }
+    return {
+        id: templateData._id.toString(),
+        name: templateData.name || '',
+        subject: templateData.subject || '',
+        html: templateData.html || '',
+        created: templateData.created,
+        updated: templateData.updated
+    };
+}
+
+function prepareTemplate(data) {
+    return {
+        name: (data.name || '').trim(),
+        subject: (data.subject || '').trim(),
+        html: (data.html || '').trim()
+    };
+}
+
+module.exports = {
+    PLACEHOLDERS,
+
+    formatTemplate,
+
+    list(user, callback) {
+        collection()
+            .find({ user: user.id })
+            .sort({ name: 1 })
+            .toArray((err, templates) => {
+                if (err) {
+                    return callback(err);
+                }
+                return callback(null, templates.map(formatTemplate));
+            });
+    },
+
+    get(user, template, callback) {
+        let id = toObjectID(template);
+        if (!id) {
+            return callback(null, false);
+        }
+        collection().findOne({ _id: id, user: user.id }, (err, templateData) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, formatTemplate(templateData));
+        });
+    },
+
+    create(user, data, callback) {
+        let template = prepareTemplate(data);
+        template.user = user.id;
+        template.created = template.updated = new Date();
+        collection().insertOne(template, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, r.insertedId.toString());
+        });
+    },
+
+    update(user, template, data, callback) {
+        let id = toObjectID(template);
+        if (!id) {
+            return callback(null, false);
+        }
+        let updates = prepareTemplate(data);
+        updates.updated = new Date();
+        collection().updateOne({ _id: id, user: user.id }, { $set: updates }, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, !!r.matchedCount);
+        });
+    },
+
+    del(user, template, callback) {
+        let id = toObjectID(template);
+        if (!id) {
+            return callback(null, false);
+        }
+        collection().deleteOne({ _id: id, user: user.id }, (err, r) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, !!r.deletedCount);
+        });
+    }
+};
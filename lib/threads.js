@@ -0,0 +1,60 @@
+'use strict';
+
+const log = require('npmlog');
+const apiClient = require('./api-client');
+const tools = require('./tools');
+
+// Conversations in a message listing are grouped by the thread ID of the messages. A listing page only includes
+// some messages of a conversation, so the rest of the conversation is looked up with the search API. This way
+// every conversation is listed only once, on the page where its newest message is, and it is counted as a whole.
+
+// only this many messages of a conversation are looked up
+const MAX_THREAD_MESSAGES = 50;
+
+// listing: {mailbox, unseen} for mailbox listings or {search} with the search arguments of search based listings.
+// Returns a Map of thread ID => {results, total}, results are in listing order.
+function lookup(user, listing, messages, callback) {
+    let ids = Array.from(new Set((messages || []).filter(message => message.thread).map(message => message.thread)));
+    let args = Object.assign({}, listing.search || { mailbox: listing.mailbox, unseen: listing.unseen });
+    // paging options of the listing do not apply
+    delete args.next;
+    delete args.previous;
+    let threads = new Map();
+    let pos = 0;
+
+    let processNext = () => {
+        if (pos >= ids.length) {
+            return callback(null, threads);
+        }
+        let thread = ids[pos++];
+        apiClient.messages.search(user, Object.assign({}, args, { thread, page: 1, limit: MAX_THREAD_MESSAGES }), (err, response) => {
+            if (err) {
+                return callback(err);
+            }
+            let results = (response && response.results) || [];
+            if (!listing.search) {
+                // search results are ordered by insertion, mailbox listings are ordered by UID
+                results.sort((a, b) => b.id - a.id);
+            }
+            threads.set(thread, { results, total: response.total || results.length });
+            setImmediate(processNext);
+        });
+    };
+    processNext();
+}
+
+// groups the messages of a listing page into conversations, see tools.groupThreads()
+function group(user, listing, messages, callback) {
+    lookup(user, listing, messages, (err, threads) => {
+        if (err) {
+            // conversations are still grouped within the page
+            log.error('Threads', 'Failed to look up conversations user=%s error=%s', user.id, err.message);
+            return callback(null, tools.groupThreads(messages));
+        }
+        callback(null, tools.groupThreads(messages, threads));
+    });
+}
+
+module.exports = {
+    group
+};
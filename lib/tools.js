@@ -108,8 +108,171 @@ function normalizeAddress(address, withNames, options) {
     return addr;
 }
 
+// strips reply and forward prefixes, used to match messages that do not have a thread id
+function normalizeSubject(subject) {
+    let prev;
+    subject = (subject || '').trim();
+    do {
+        prev = subject;
+        subject = subject
+            .replace(/^\[[^\]]*\]\s*/, '')
+            .replace(/^(re|fw|fwd|aw|sv|vs)(\[\d+\])?\s*:\s*/i, '')
+            .trim();
+    } while (subject !== prev);
+    return subject.toLowerCase();
+}
+
+// Groups a message listing into conversations. Messages are grouped by WildDuck thread id,
+// if it is missing then References/In-Reply-To and finally the normalized subject are used.
+// The first (newest) message of every group is kept as the listed entry. threads is an optional Map
+// of thread id => {results, total} with all messages of the conversation in listing order, if set then
+// conversations are counted as a whole and these are only listed where the newest message is listed.
+function groupThreads(messages, threads) {
+    let groups = new Map();
+    let messageIds = new Map();
+    let subjects = new Map();
+    let result = [];
+
+    (messages || []).forEach(message => {
+        let key;
+        let subject = normalizeSubject(message.subject);
+        let isReply = !!(message.inReplyTo || (message.references && message.references.length)) || subject !== (message.subject || '').trim().toLowerCase();
+
+        if (message.thread) {
+            key = 'thread:' + message.thread;
+        } else {
+            let references = [].concat(message.inReplyTo || []).concat(message.references || []);
+            let ref = references.find(ref => messageIds.has(ref));
+            let match = subject && subjects.get(subject);
+            if (ref) {
+                key = messageIds.get(ref);
+            } else if (match && (isReply || match.isReply)) {
+                // subjects are only matched if at least one of the messages looks like a reply
+                key = match.key;
+            } else {
+                key = 'message:' + message.mailbox + ':' + message.id;
+            }
+        }
+
+        if (message.messageId && !messageIds.has(message.messageId)) {
+            messageIds.set(message.messageId, key);
+        }
+        if (subject && !subjects.has(subject)) {
+            subjects.set(subject, { key, isReply });
+        }
+
+        let thread = message.thread && threads && threads.get(message.thread);
+        let entry = groups.get(key);
+        if (!entry) {
+            let newest = thread && thread.results[0];
+            if (newest && (newest.id !== message.id || (message.mailbox && newest.mailbox !== message.mailbox))) {
+                // conversation was already listed together with its newest message
+                return;
+            }
+
+            entry = message;
+            entry.threadCount = 0;
+            groups.set(key, entry);
+            result.push(entry);
+
+            if (thread) {
+                entry.threadCount = thread.total;
+                entry.seen = thread.results.every(item => item.seen);
+                entry.attachments = thread.results.some(item => item.attachments);
+                return;
+            }
+        }
+
+        if (thread) {
+            // already counted from the looked up conversation
+            return;
+        }
+
+        entry.threadCount++;
+        if (!message.seen) {
+            entry.seen = false;
+        }
+        if (message.attachments) {
+            entry.attachments = true;
+        }
+    });
+
+    result.forEach(entry => {
+        if (entry.threadCount < 2) {
+            // no need to show a counter for single messages
+            entry.threadCount = false;
+        }
+        // conversations without a thread id can not be opened as a thread
+        entry.threadLink = !!(entry.threadCount && entry.thread);
+    });
+
+    return result;
+}
+
+// image formats that browsers are able to display, SVG is included as it is served in a sandbox
+const PREVIEW_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/pjpeg', 'image/gif', 'image/webp', 'image/bmp', 'image/svg+xml'];
+const PREVIEW_TEXT_TYPES = ['text/plain', 'text/csv', 'text/x-log', 'text/markdown'];
+
+// returns the kind of in-browser preview an attachment supports ("image", "pdf", "text" or "message") or false
+function getPreviewType(contentType, filename) {
+    contentType = (contentType || '')
+        .split(';')
+        .shift()
+        .trim()
+        .toLowerCase();
+    let extension = ((filename || '').match(/\.([^.]+)$/) || [])[1];
+    extension = (extension || '').toLowerCase();
+
+    if (PREVIEW_IMAGE_TYPES.includes(contentType)) {
+        return 'image';
+    }
+    if (contentType === 'application/pdf' || (contentType === 'application/octet-stream' && extension === 'pdf')) {
+        return 'pdf';
+    }
+    if (contentType === 'message/rfc822' || extension === 'eml') {
+        return 'message';
+    }
+    if (PREVIEW_TEXT_TYPES.includes(contentType) || ['txt', 'log', 'csv', 'md'].includes(extension)) {
+        return 'text';
+    }
+    return false;
+}
+
+// returns a file name that is safe to use in archives and is not listed in usedNames (a Set of lowercase names),
+// duplicates get a counter suffix, eg. "report (2).pdf"
+function getUniqueFilename(filename, usedNames, fallback) {
+    filename = (filename || '')
+        .replace(/[\x00-\x1f\x7f/\\]+/g, '_') // eslint-disable-line no-control-regex
+        .replace(/^[.\s]+/, '')
+        .trim();
+    if (!filename) {
+        filename = fallback || 'attachment';
+    }
+
+    let base = filename;
+    let extension = '';
+    let match = filename.match(/^(.+)(\.[^.\s]{1,10})$/);
+    if (match) {
+        base = match[1];
+        extension = match[2];
+    }
+
+    let counter = 1;
+    let name = filename;
+    while (usedNames.has(name.toLowerCase())) {
+        name = base + ' (' + ++counter + ')' + extension;
+    }
+    usedNames.add(name.toLowerCase());
+
+    return name;
+}
+
 module.exports = {
     getAddressesHTML,
     normalizeAddress,
-    normalizeDomain
+    normalizeDomain,
+    normalizeSubject,
+    groupThreads,
+    getPreviewType,
+    getUniqueFilename
 };
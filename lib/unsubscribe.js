@@ -0,0 +1,230 @@
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+const urllib = require('url');
+const querystring = require('querystring');
+const request = require('request');
+const ipaddr = require('ipaddr.js');
+const libmime = require('libmime');
+const db = require('./db');
+const apiClient = require('./api-client');
+
+// Unsubscribing uses the List-Unsubscribe header (RFC 2369). If the header includes an https URL and the message
+// has a List-Unsubscribe-Post header (RFC 8058), then the URL is requested server-side with a one-click POST request.
+// Otherwise a mailto: target is used, and an unsubscribe email is sent for the user. Other URLs can only be opened
+// in the browser. Every unsubscribe attempt is logged, so users can see where they have opted out.
+
+const MAX_HEADER_SIZE = 256 * 1024;
+
+// ms, one-click unsubscribe request must finish in this time
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// how many log entries are listed
+const MAX_LOG_ENTRIES = 100;
+
+function collection() {
+    return db.database.collection('unsubscribes');
+}
+
+function getHeaderValue(headers, key) {
+    return ((headers[key] || [])[0] || '').trim();
+}
+
+// returns {listId, from, method, target} or false if the message does not include an usable List-Unsubscribe header
+function parseHeader(header) {
+    let headers = libmime.decodeHeaders(header.toString('binary'));
+
+    // targets are listed in angle brackets, folding whitespace is not a part of the URL
+    let targets = (getHeaderValue(headers, 'list-unsubscribe').match(/<[^>]*>/g) || []).map(target => target.replace(/^<|>$|\s+/g, ''));
+
+    let mailto = targets.find(target => /^mailto:/i.test(target));
+    let url = targets.find(target => /^https:/i.test(target)) || targets.find(target => /^http:/i.test(target));
+    let oneClick = /^https:/i.test(url || '') && /List-Unsubscribe=One-Click/i.test(getHeaderValue(headers, 'list-unsubscribe-post'));
+
+    let options = {
+        listId: libmime.decodeWords(getHeaderValue(headers, 'list-id')) || false,
+        from: libmime.decodeWords(getHeaderValue(headers, 'from')) || false
+    };
+
+    if (oneClick) {
+        options.method = 'post';
+        options.target = url;
+    } else if (mailto) {
+        options.method = 'mailto';
+        options.target = mailto;
+    } else if (url) {
+        options.method = 'link';
+        options.target = url;
+    } else {
+        return false;
+    }
+
+    return options;
+}
+
+// returns unsubscribe options for a stored message, see parseHeader()
+function getOptions(user, mailbox, message, callback) {
+    apiClient.messages.fetchHeader(user, mailbox, message, MAX_HEADER_SIZE, (err, header) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, parseHeader(header));
+    });
+}
+
+// resolves the hostname for the one-click request and only returns public unicast addresses, so that message senders
+// can not make the server call internal services. The connection is made to the address that was checked
+function checkedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, Object.assign({}, options, { all: true }), (err, addresses) => {
+        if (err) {
+            return callback(err);
+        }
+
+        if (!addresses.length || addresses.some(entry => ipaddr.process(entry.address).range() !== 'unicast')) {
+            let error = new Error('Unsubscribe URL is not allowed');
+            error.code = 'EADDRNOTAVAIL';
+            return callback(error);
+        }
+
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function postOneClick(target, callback) {
+    let parsed = urllib.parse(target);
+    if (!parsed.hostname || net.isIP(parsed.hostname) || /^localhost$|\.localhost$|\.local$/i.test(parsed.hostname)) {
+        return callback(new Error('Unsubscribe URL is not allowed'));
+    }
+
+    request(
+        {
+            method: 'POST',
+            url: target,
+            form: {
+                'List-Unsubscribe': 'One-Click'
+            },
+            timeout: REQUEST_TIMEOUT,
+            followRedirect: false,
+            lookup: checkedLookup,
+            // pooled sockets could have been opened without the address check
+            pool: false
+        },
+        (err, response) => {
+            if (err) {
+                return callback(err);
+            }
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                return callback(new Error('Unsubscribe request failed with status code ' + response.statusCode));
+            }
+            callback();
+        }
+    );
+}
+
+function sendMailto(user, target, callback) {
+    // url.parse() would handle the address as auth and host parts, so the mailto: URI is split manually
+    let match = target.match(/^mailto:([^?]*)(?:\?(.*))?$/i);
+    let query = querystring.parse((match && match[2]) || '');
+    let address;
+    try {
+        address = decodeURIComponent((match && match[1]) || '')
+            .split(',')
+            .shift()
+            .trim();
+    } catch (err) {
+        return callback(new Error('Invalid unsubscribe address'));
+    }
+
+    if (!/^[^@\s]+@[^@\s]+$/.test(address)) {
+        return callback(new Error('Invalid unsubscribe address'));
+    }
+
+    // repeated query parameters are parsed into arrays
+    let subject = [].concat(query.subject || [])[0];
+    let text = [].concat(query.body || [])[0];
+
+    apiClient.messages.submit(
+        user,
+        {
+            to: [{ address }],
+            subject: subject || 'Unsubscribe',
+            text: text || 'Unsubscribe'
+        },
+        err => callback(err)
+    );
+}
+
+function log(user, options, err, callback) {
+    collection().insertOne(
+        {
+            user: user.id,
+            listId: options.listId,
+            from: options.from,
+            method: options.method,
+            target: options.target,
+            // link targets are only opened in the browser, so the result is unknown
+            success: options.method === 'link' ? null : !err,
+            error: err ? err.message : null,
+            created: new Date()
+        },
+        callback
+    );
+}
+
+// unsubscribes from the mailing list of a message, returns the used options
+function unsubscribe(user, mailbox, message, callback) {
+    getOptions(user, mailbox, message, (err, options) => {
+        if (err) {
+            return callback(err);
+        }
+
+        if (!options) {
+            return callback(new Error('Message does not include unsubscribe information'));
+        }
+
+        let run = done => {
+            switch (options.method) {
+                case 'post':
+                    return postOneClick(options.target, done);
+                case 'mailto':
+                    return sendMailto(user, options.target, done);
+                default:
+                    return done();
+            }
+        };
+
+        run(err => {
+            log(user, options, err, logErr => {
+                if (err || logErr) {
+                    return callback(err || logErr);
+                }
+                callback(null, options);
+            });
+        });
+    });
+}
+
+// returns the latest unsubscribe log entries
+function list(user, callback) {
+    collection()
+        .find({ user: user.id })
+        .sort({ created: -1 })
+        .limit(MAX_LOG_ENTRIES)
+        .toArray(callback);
+}
+
+module.exports = {
+    parseHeader,
+    getOptions,
+    unsubscribe,
+    list
+};
@@ -0,0 +1,195 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+const db = require('./db');
+
+// Attachments that are uploaded in the compose form before the message is sent. Uploads are kept in Redis
+// per user session until the message is sent or the upload expires.
+
+const KEY_PREFIX = 'upload:';
+const TTL = 24 * 3600; // seconds
+
+const MAX_FILE_SIZE = 25 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 50 * 1024 * 1024;
+const MAX_FILES = 50;
+
+// Checks the limits and stores the upload in a single step, so parallel uploads can not exceed the limits together.
+// KEYS: list key, content key. ARGV: id, metadata, content, max files, max total size, file size, TTL.
+// Returns 1 if the upload was stored, -1 if there are too many files and -2 if the total size would be too large
+const ADD_SCRIPT = `
+local entries = redis.call('HVALS', KEYS[1])
+if #entries >= tonumber(ARGV[4]) then
+    return -1
+end
+local total = 0
+for i, entry in ipairs(entries) do
+    local ok, data = pcall(cjson.decode, entry)
+    if ok and type(data) == 'table' and tonumber(data.size) then
+        total = total + tonumber(data.size)
+    end
+end
+if total + tonumber(ARGV[6]) > tonumber(ARGV[5]) then
+    return -2
+end
+redis.call('SET', KEYS[2], ARGV[3], 'EX', ARGV[7])
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('EXPIRE', KEYS[1], ARGV[7])
+return 1
+`;
+
+// hash of upload metadata for a session
+function listKey(user, session) {
+    return KEY_PREFIX + user.id + ':' + session;
+}
+
+function contentKey(user, session, id) {
+    return listKey(user, session) + ':' + id;
+}
+
+function list(user, session, callback) {
+    db.redis.hgetall(listKey(user, session), (err, data) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let uploads = [];
+        Object.keys(data || {}).forEach(id => {
+            try {
+                uploads.push(JSON.parse(data[id]));
+            } catch (E) {
+                // ignore broken entries
+            }
+        });
+
+        uploads.sort((a, b) => a.created - b.created);
+        callback(null, uploads);
+    });
+}
+
+module.exports.MAX_FILE_SIZE = MAX_FILE_SIZE;
+module.exports.MAX_TOTAL_SIZE = MAX_TOTAL_SIZE;
+
+module.exports.list = list;
+
+// file is a multer file object {originalname, mimetype, buffer}
+module.exports.add = (user, session, file, callback) => {
+    if (file.buffer.length > MAX_FILE_SIZE) {
+        return callback(new Error('Attachment is too large'));
+    }
+
+    let upload = {
+        id: new ObjectID().toString(),
+        filename: file.originalname || 'attachment',
+        contentType: file.mimetype || 'application/octet-stream',
+        size: file.buffer.length,
+        sizeKb: Math.ceil(file.buffer.length / 1024),
+        created: Date.now()
+    };
+
+    db.redis.eval(
+        ADD_SCRIPT,
+        2,
+        listKey(user, session),
+        contentKey(user, session, upload.id),
+        upload.id,
+        JSON.stringify(upload),
+        file.buffer,
+        MAX_FILES,
+        MAX_TOTAL_SIZE,
+        upload.size,
+        TTL,
+        (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            switch (Number(result)) {
+                case -1:
+                    return callback(new Error('Too many attachments'));
+                case -2:
+                    return callback(new Error('Total size of attachments is too large'));
+            }
+            callback(null, upload);
+        }
+    );
+};
+
+// returns upload metadata and contents as a Buffer
+function get(user, session, id, callback) {
+    db.redis.hget(listKey(user, session), id, (err, data) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let upload;
+        try {
+            upload = data && JSON.parse(data);
+        } catch (E) {
+            upload = false;
+        }
+        if (!upload) {
+            return callback(null, false);
+        }
+
+        db.redis.getBuffer(contentKey(user, session, id), (err, content) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!content) {
+                return callback(null, false);
+            }
+            callback(null, upload, content);
+        });
+    });
+}
+
+module.exports.get = get;
+
+// returns uploads in the attachment format used by the message submission API
+module.exports.getAttachments = (user, session, ids, callback) => {
+    ids = [].concat(ids || []);
+
+    let attachments = [];
+    let pos = 0;
+    let processNext = () => {
+        if (pos >= ids.length) {
+            return callback(null, attachments);
+        }
+
+        get(user, session, ids[pos++], (err, upload, content) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!upload) {
+                return callback(new Error('Uploaded attachment has expired, please add it again'));
+            }
+            attachments.push({
+                filename: upload.filename,
+                contentType: upload.contentType,
+                content: content.toString('base64'),
+                encoding: 'base64'
+            });
+            processNext();
+        });
+    };
+
+    processNext();
+};
+
+module.exports.del = (user, session, ids, callback) => {
+    ids = [].concat(ids || []);
+    if (!ids.length) {
+        return callback(null, false);
+    }
+
+    let multi = db.redis.multi();
+    ids.forEach(id => {
+        multi.del(contentKey(user, session, id));
+        multi.hdel(listKey(user, session), id);
+    });
+    multi.exec((err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, result.some(entry => entry && entry[1]));
+    });
+};
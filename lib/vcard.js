@@ -0,0 +1,271 @@
+'use strict';
+
+// Minimal vCard 3.0 and 4.0 support for importing and exporting contacts
+
+const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+
+function unescapeValue(value) {
+    return (value || '').replace(/\\([\\;,nN])/g, (m, chr) => (chr === 'n' || chr === 'N' ? '\n' : chr));
+}
+
+function escapeValue(value) {
+    return (value || '')
+        .toString()
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/([;,])/g, '\\$1');
+}
+
+// split by a separator unless it is escaped with a backslash
+function splitValue(value, separator) {
+    let parts = [];
+    let current = '';
+    for (let i = 0; i < value.length; i++) {
+        let chr = value.charAt(i);
+        if (chr === '\\' && i < value.length - 1) {
+            current += chr + value.charAt(++i);
+            continue;
+        }
+        if (chr === separator) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += chr;
+    }
+    parts.push(current);
+    return parts;
+}
+
+// RFC 6350 lines are limited to 75 octets, longer lines are folded
+function foldLine(line) {
+    let lines = [];
+    let chars = Array.from(line);
+    let current = '';
+    let currentLength = 0;
+    chars.forEach(chr => {
+        let chrLength = Buffer.byteLength(chr);
+        if (currentLength + chrLength > (lines.length ? 74 : 75)) {
+            lines.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += chr;
+        currentLength += chrLength;
+    });
+    lines.push(current);
+    return lines.join('\r\n ');
+}
+
+function parseLine(line) {
+    let valuePos = -1;
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        let chr = line.charAt(i);
+        if (chr === '"') {
+            inQuotes = !inQuotes;
+        } else if (chr === ':' && !inQuotes) {
+            valuePos = i;
+            break;
+        }
+    }
+
+    if (valuePos < 0) {
+        return false;
+    }
+
+    let params = line.substr(0, valuePos).split(';');
+    // property names might use a group prefix, eg. "item1.EMAIL"
+    let key = params
+        .shift()
+        .split('.')
+        .pop()
+        .trim()
+        .toUpperCase();
+
+    let types = [];
+    params.forEach(param => {
+        let parts = param.split('=');
+        let name = parts.shift().toUpperCase();
+        let value = parts
+            .join('=')
+            .replace(/"/g, '')
+            .toLowerCase();
+        if (name === 'TYPE') {
+            types = types.concat(value.split(','));
+        } else if (!value) {
+            // vCard 2.1 style bare type, eg. "EMAIL;INTERNET:"
+            types.push(name.toLowerCase());
+        }
+    });
+
+    return {
+        key,
+        types: types.filter(type => type && !['internet', 'pref'].includes(type)),
+        value: line.substr(valuePos + 1)
+    };
+}
+
+// parses vCard file contents (might include multiple cards) into a list of contact objects
+function parse(input) {
+    let lines = (input || '')
+        .toString()
+        .replace(/\r?\n[ \t]/g, '') // unfold
+        .split(/\r?\n/);
+
+    let contacts = [];
+    let contact = false;
+
+    lines.forEach(line => {
+        let entry = parseLine(line);
+        if (!entry) {
+            return;
+        }
+
+        if (entry.key === 'BEGIN' && /^vcard$/i.test(entry.value.trim())) {
+            contact = {
+                name: '',
+                emails: [],
+                phones: [],
+                organization: '',
+                note: '',
+                groups: []
+            };
+            return;
+        }
+
+        if (!contact) {
+            return;
+        }
+
+        switch (entry.key) {
+            case 'END':
+                if (!contact.name && contact.emails.length) {
+                    contact.name = contact.emails[0].address;
+                }
+                if (contact.name || contact.emails.length) {
+                    contacts.push(contact);
+                }
+                contact = false;
+                break;
+
+            case 'FN':
+                contact.name = unescapeValue(entry.value).trim();
+                break;
+
+            case 'N':
+                if (!contact.name) {
+                    // N is "Family;Given;Additional;Prefix;Suffix"
+                    let parts = splitValue(entry.value, ';').map(part => unescapeValue(part).trim());
+                    contact.name = [parts[3], parts[1], parts[2], parts[0], parts[4]].filter(part => part).join(' ');
+                }
+                break;
+
+            case 'EMAIL': {
+                let address = unescapeValue(entry.value)
+                    .replace(/^mailto:/i, '')
+                    .trim();
+                if (address) {
+                    contact.emails.push({ address, type: entry.types[0] || '' });
+                }
+                break;
+            }
+
+            case 'TEL': {
+                let number = unescapeValue(entry.value)
+                    .replace(/^tel:/i, '')
+                    .trim();
+                if (number) {
+                    contact.phones.push({ number, type: entry.types[0] || '' });
+                }
+                break;
+            }
+
+            case 'ORG':
+                contact.organization = splitValue(entry.value, ';')
+                    .map(part => unescapeValue(part).trim())
+                    .filter(part => part)
+                    .join(', ');
+                break;
+
+            case 'NOTE':
+                contact.note = unescapeValue(entry.value).trim();
+                break;
+
+            case 'CATEGORIES':
+                splitValue(entry.value, ',').forEach(group => {
+                    group = unescapeValue(group).trim();
+                    if (group && !contact.groups.includes(group)) {
+                        contact.groups.push(group);
+                    }
+                });
+                break;
+        }
+    });
+
+    return contacts;
+}
+
+// formats a list of contact objects as vCard text, version is either "3.0" (default) or "4.0"
+function format(contacts, version) {
+    version = SUPPORTED_VERSIONS.includes(version) ? version : '3.0';
+
+    let formatType = type => {
+        if (!type) {
+            return '';
+        }
+        return ';TYPE=' + (version === '3.0' ? type.toUpperCase() : type.toLowerCase());
+    };
+
+    return []
+        .concat(contacts || [])
+        .map(contact => {
+            let lines = ['BEGIN:VCARD', 'VERSION:' + version];
+
+            lines.push('FN:' + escapeValue(contact.name));
+
+            let nameParts = (contact.name || '').trim().split(/\s+/);
+            let familyName = nameParts.length > 1 ? nameParts.pop() : '';
+            lines.push('N:' + [familyName, nameParts.join(' '), '', '', ''].map(escapeValue).join(';'));
+
+            (contact.emails || []).forEach(email => {
+                lines.push('EMAIL' + (version === '3.0' ? ';TYPE=INTERNET' : '') + formatType(email.type) + ':' + escapeValue(email.address));
+            });
+
+            (contact.phones || []).forEach(phone => {
+                if (version === '4.0') {
+                    lines.push('TEL;VALUE=uri' + formatType(phone.type) + ':tel:' + phone.number.replace(/\s+/g, '-'));
+                } else {
+                    lines.push('TEL' + formatType(phone.type) + ':' + escapeValue(phone.number));
+                }
+            });
+
+            if (contact.organization) {
+                lines.push('ORG:' + escapeValue(contact.organization));
+            }
+
+            if (contact.note) {
+                lines.push('NOTE:' + escapeValue(contact.note));
+            }
+
+            if (contact.groups && contact.groups.length) {
+                lines.push('CATEGORIES:' + contact.groups.map(escapeValue).join(','));
+            }
+
+            if (contact.id) {
+                lines.push('UID:' + contact.id);
+            }
+
+            lines.push('END:VCARD');
+
+            return lines.map(foldLine).join('\r\n');
+        })
+        .join('\r\n')
+        .concat('\r\n');
+}
+
+module.exports = {
+    SUPPORTED_VERSIONS,
+    parse,
+    format
+};
@@ -0,0 +1,192 @@
+/* eslint-env browser */
+/* eslint prefer-arrow-callback: 0, no-var: 0, object-shorthand: 0 */
+
+'use strict';
+
+// Suggests stored contacts for comma separated recipient fields.
+// Usage: setupAddressAutocomplete(document.getElementById('inputTo'))
+function setupAddressAutocomplete(input) {
+    if (!input) {
+        return;
+    }
+
+    var wrapper = document.createElement('div');
+    wrapper.className = 'dropdown address-autocomplete';
+    input.parentNode.insertBefore(wrapper, input);
+    wrapper.appendChild(input);
+
+    var menu = document.createElement('ul');
+    menu.className = 'dropdown-menu';
+    wrapper.appendChild(menu);
+
+    var suggestions = [];
+    var selected = -1;
+    var timer = false;
+    var lastQuery = false;
+
+    var formatAddress = function(entry) {
+        if (entry.name && entry.name !== entry.address) {
+            return '"' + entry.name.replace(/["\\]/g, '') + '" <' + entry.address + '>';
+        }
+        return entry.address;
+    };
+
+    // returns the recipient that is currently being typed
+    var getCurrentToken = function() {
+        var parts = input.value.split(',');
+        return parts[parts.length - 1].trim();
+    };
+
+    var hide = function() {
+        wrapper.classList.remove('open');
+        suggestions = [];
+        selected = -1;
+        lastQuery = false;
+    };
+
+    var apply = function(entry) {
+        var value = entry.group ? entry.addresses.map(formatAddress).join(', ') : formatAddress(entry);
+        var parts = input.value.split(',');
+        parts.pop();
+        parts.push(' ' + value);
+        input.value =
+            parts
+                .map(function(part) {
+                    return part.trim();
+                })
+                .filter(function(part) {
+                    return part;
+                })
+                .join(', ') + ', ';
+        hide();
+        input.focus();
+    };
+
+    var render = function() {
+        menu.innerHTML = '';
+        if (!suggestions.length) {
+            return hide();
+        }
+
+        suggestions.forEach(function(entry, i) {
+            var li = document.createElement('li');
+            if (i === selected) {
+                li.className = 'active';
+            }
+            var a = document.createElement('a');
+            a.href = '#';
+            if (entry.group) {
+                a.textContent = entry.group + ' (' + entry.addresses.length + ')';
+                var icon = document.createElement('span');
+                icon.className = 'glyphicon glyphicon-folder-open';
+                icon.style.marginRight = '5px';
+                a.insertBefore(icon, a.firstChild);
+            } else {
+                a.textContent = entry.name && entry.name !== entry.address ? entry.name + ' <' + entry.address + '>' : entry.address;
+            }
+            a.addEventListener(
+                'mousedown',
+                function(e) {
+                    e.preventDefault();
+                    apply(entry);
+                },
+                false
+            );
+            li.appendChild(a);
+            menu.appendChild(li);
+        });
+
+        wrapper.classList.add('open');
+    };
+
+    var search = function() {
+        var query = getCurrentToken();
+        if (query === lastQuery) {
+            return;
+        }
+        lastQuery = query;
+
+        if (query.length < 2) {
+            return hide();
+        }
+
+        fetch('/api/contacts?query=' + encodeURIComponent(query), {
+            method: 'get',
+            headers: {
+                Accept: 'application/json, text/plain, */*'
+            },
+            credentials: 'include'
+        })
+            .then(function(res) {
+                return res.json();
+            })
+            .then(function(res) {
+                if (query !== getCurrentToken()) {
+                    // input has changed in the meantime
+                    return;
+                }
+                if (res.error) {
+                    console.error(res.error);
+                    return hide();
+                }
+                suggestions = res.results || [];
+                selected = -1;
+                render();
+            })
+            .catch(function(err) {
+                console.error(err);
+                hide();
+            });
+    };
+
+    input.setAttribute('autocomplete', 'off');
+
+    input.addEventListener(
+        'input',
+        function() {
+            clearTimeout(timer);
+            timer = setTimeout(search, 200);
+        },
+        false
+    );
+
+    input.addEventListener(
+        'keydown',
+        function(e) {
+            if (!suggestions.length) {
+                return;
+            }
+            switch (e.keyCode) {
+                case 40: // down
+                    e.preventDefault();
+                    selected = (selected + 1) % suggestions.length;
+                    render();
+                    break;
+                case 38: // up
+                    e.preventDefault();
+                    selected = selected <= 0 ? suggestions.length - 1 : selected - 1;
+                    render();
+                    break;
+                case 9: // tab
+                case 13: // enter
+                    if (selected >= 0) {
+                        e.preventDefault();
+                        apply(suggestions[selected]);
+                    }
+                    break;
+                case 27: // esc
+                    hide();
+                    break;
+            }
+        },
+        false
+    );
+
+    input.addEventListener(
+        'blur',
+        function() {
+            setTimeout(hide, 150);
+        },
+        false
+    );
+}
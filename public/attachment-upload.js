@@ -0,0 +1,249 @@
+/* eslint-env browser */
+/* eslint prefer-arrow-callback: 0, no-var: 0, object-shorthand: 0 */
+
+'use strict';
+
+// Uploads compose attachments in the background. Files can be selected with the file input or dropped onto
+// the attachment area, uploaded files are referenced from the compose form by the upload ID.
+
+// number of uploads in progress, the compose form can not be submitted until all uploads are finished
+var pendingUploads = 0;
+
+// Uploads a single file, callback(err, attachment) is called with the stored upload info. Returns the request
+// object, so the upload could be aborted
+function uploadFile(file, onProgress, callback) {
+    var body = new FormData();
+    body.append('_csrf', document.getElementById('_csrf').value);
+    body.append('attachment', file, file.name);
+
+    var xhr = new XMLHttpRequest();
+    var finished = false;
+    pendingUploads++;
+
+    var finish = function(err, attachment) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        pendingUploads--;
+        callback(err, attachment);
+    };
+
+    if (onProgress) {
+        xhr.upload.addEventListener(
+            'progress',
+            function(e) {
+                if (e.lengthComputable) {
+                    onProgress(e.loaded / e.total);
+                }
+            },
+            false
+        );
+    }
+
+    xhr.addEventListener(
+        'load',
+        function() {
+            var data;
+            try {
+                data = JSON.parse(xhr.responseText);
+            } catch (E) {
+                data = {};
+            }
+            if (!data.success) {
+                return finish(new Error(data.error || 'Failed to upload attachment'));
+            }
+            finish(null, data.attachment);
+        },
+        false
+    );
+
+    xhr.addEventListener(
+        'error',
+        function() {
+            finish(new Error('Failed to upload attachment'));
+        },
+        false
+    );
+
+    xhr.addEventListener(
+        'abort',
+        function() {
+            finish(new Error('Upload was cancelled'));
+        },
+        false
+    );
+
+    xhr.open('POST', '/api/upload');
+    xhr.send(body);
+
+    return xhr;
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    var dropzone = document.getElementById('attachment-dropzone');
+    var fileInput = document.getElementById('input-attachment');
+    var list = document.getElementById('uploaded-attachments');
+    var form = document.getElementById('send-form');
+
+    if (!dropzone || !fileInput || !list || !form) {
+        return;
+    }
+
+    var formatSize = function(size) {
+        return Math.ceil(size / 1024) + 'kB';
+    };
+
+    var removeUpload = function(row) {
+        var id = row.dataset.id;
+        if (row.xhr) {
+            row.xhr.abort();
+        }
+        row.parentNode.removeChild(row);
+
+        if (!id) {
+            // attachment from the edited draft or a forwarded message, these are not stored as uploads
+            return;
+        }
+
+        var body = new FormData();
+        body.append('_csrf', document.getElementById('_csrf').value);
+        body.append('id', id);
+
+        var xhr = new XMLHttpRequest();
+        xhr.open('POST', '/api/upload/delete');
+        xhr.send(body);
+    };
+
+    var createRow = function(filename) {
+        var row = document.createElement('div');
+        row.className = 'uploaded-attachment';
+        row.innerHTML =
+            '<div class="clearfix">' +
+            '<button type="button" class="close remove-upload" aria-label="Remove"><span aria-hidden="true">&times;</span></button>' +
+            '<span class="glyphicon glyphicon-paperclip" aria-hidden="true"></span> <span class="upload-filename"></span> <span class="upload-size text-muted"></span>' +
+            '</div>' +
+            '<div class="progress" style="margin-bottom: 5px; height: 5px;"><div class="progress-bar" role="progressbar" style="width: 0%;"></div></div>' +
+            '<div class="upload-error text-danger" style="display: none;"></div>';
+        row.querySelector('.upload-filename').textContent = filename;
+        list.appendChild(row);
+        return row;
+    };
+
+    var setUploaded = function(row, attachment) {
+        var input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = 'uploadedAttachment';
+        input.value = attachment.id;
+        row.appendChild(input);
+
+        row.dataset.id = attachment.id;
+        row.querySelector('.upload-size').textContent = '[' + formatSize(attachment.size) + ']';
+        row.querySelector('.progress').style.display = 'none';
+    };
+
+    var setError = function(row, message) {
+        row.classList.add('has-error');
+        row.querySelector('.progress').style.display = 'none';
+        row.querySelector('.upload-error').textContent = message;
+        row.querySelector('.upload-error').style.display = 'block';
+    };
+
+    var upload = function(file) {
+        var row = createRow(file.name);
+        var bar = row.querySelector('.progress-bar');
+
+        row.xhr = uploadFile(
+            file,
+            function(progress) {
+                bar.style.width = Math.round(progress * 100) + '%';
+            },
+            function(err, attachment) {
+                row.xhr = false;
+                if (err) {
+                    return setError(row, err.message);
+                }
+                setUploaded(row, attachment);
+            }
+        );
+    };
+
+    var uploadFiles = function(files) {
+        for (var i = 0; i < files.length; i++) {
+            upload(files[i]);
+        }
+    };
+
+    // files are uploaded right away, so these are not posted again with the form
+    fileInput.addEventListener(
+        'change',
+        function() {
+            uploadFiles(fileInput.files);
+            fileInput.value = '';
+        },
+        false
+    );
+
+    list.addEventListener(
+        'click',
+        function(e) {
+            var button = e.target.closest('.remove-upload');
+            if (!button) {
+                return;
+            }
+            e.preventDefault();
+            removeUpload(button.closest('.uploaded-attachment'));
+        },
+        false
+    );
+
+    ['dragenter', 'dragover'].forEach(function(type) {
+        dropzone.addEventListener(
+            type,
+            function(e) {
+                if (!e.dataTransfer || Array.prototype.indexOf.call(e.dataTransfer.types || [], 'Files') < 0) {
+                    return;
+                }
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                dropzone.classList.add('dragover');
+            },
+            false
+        );
+    });
+
+    dropzone.addEventListener(
+        'dragleave',
+        function(e) {
+            if (!dropzone.contains(e.relatedTarget)) {
+                dropzone.classList.remove('dragover');
+            }
+        },
+        false
+    );
+
+    dropzone.addEventListener(
+        'drop',
+        function(e) {
+            dropzone.classList.remove('dragover');
+            if (!e.dataTransfer || !e.dataTransfer.files || !e.dataTransfer.files.length) {
+                return;
+            }
+            e.preventDefault();
+            uploadFiles(e.dataTransfer.files);
+        },
+        false
+    );
+
+    form.addEventListener(
+        'submit',
+        function(e) {
+            if (pendingUploads) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                alert('Attachments are still being uploaded, please wait until the upload is finished');
+            }
+        },
+        false
+    );
+});
@@ -0,0 +1,151 @@
+/* eslint-env browser */
+/* eslint prefer-arrow-callback: 0, no-var: 0, object-shorthand: 0 */
+
+'use strict';
+
+// Conversions between rich text and plain text editor contents in the message composer
+
+// Converts editor HTML into editable plain text. Quoted content is prefixed with "> "
+function htmlToPlainText(html) {
+    var container = document.createElement('div');
+    container.innerHTML = html || '';
+
+    var normalize = function(text) {
+        return text
+            .split('\n')
+            .map(function(line) {
+                return line.replace(/[ \t]+$/, '');
+            })
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n');
+    };
+
+    var convert = function(node) {
+        var text = '';
+        for (var i = 0; i < node.childNodes.length; i++) {
+            var child = node.childNodes[i];
+
+            if (child.nodeType === 3) {
+                var value = child.nodeValue.replace(/\s+/g, ' ');
+                if (!text.length || /\n$/.test(text)) {
+                    value = value.replace(/^ /, '');
+                }
+                text += value;
+                continue;
+            }
+
+            if (child.nodeType !== 1) {
+                continue;
+            }
+
+            var tag = child.tagName.toLowerCase();
+            switch (tag) {
+                case 'script':
+                case 'style':
+                case 'head':
+                case 'title':
+                    break;
+                case 'br':
+                    text += '\n';
+                    break;
+                case 'blockquote':
+                    text +=
+                        '\n' +
+                        normalize(convert(child))
+                            .trim()
+                            .split('\n')
+                            .map(function(line) {
+                                return ('> ' + line).replace(/ +$/, '');
+                            })
+                            .join('\n') +
+                        '\n';
+                    break;
+                case 'a': {
+                    var linkText = convert(child);
+                    var href = child.getAttribute('href') || '';
+                    text += linkText;
+                    if (/^(https?|ftp):/i.test(href) && linkText.trim() !== href) {
+                        text += ' <' + href + '>';
+                    }
+                    break;
+                }
+                case 'li':
+                    text += '\n' + (child.parentNode && child.parentNode.tagName === 'OL' ? Array.prototype.indexOf.call(child.parentNode.children, child) + 1 + '. ' : '* ');
+                    text += convert(child).trim() + '\n';
+                    break;
+                case 'p':
+                case 'pre':
+                case 'h1':
+                case 'h2':
+                case 'h3':
+                case 'h4':
+                case 'h5':
+                case 'h6':
+                    text += '\n' + convert(child) + '\n\n';
+                    break;
+                case 'div':
+                case 'table':
+                case 'tr':
+                case 'ul':
+                case 'ol':
+                    text += '\n' + convert(child) + '\n';
+                    break;
+                case 'td':
+                case 'th':
+                    text += convert(child) + '\t';
+                    break;
+                default:
+                    text += convert(child);
+            }
+        }
+        return text;
+    };
+
+    return normalize(convert(container)).replace(/^\n+|\s+$/g, '');
+}
+
+// Converts plain text into editor HTML, lines starting with ">" are converted into blockquotes
+function plainTextToHtml(text) {
+    var escape = function(str) {
+        var elm = document.createElement('div');
+        elm.textContent = str;
+        return elm.innerHTML;
+    };
+
+    var lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+    var html = '';
+    var paragraph = [];
+    var quoted = [];
+
+    var flushParagraph = function() {
+        if (paragraph.length) {
+            html += '<p>' + paragraph.map(escape).join('<br>') + '</p>';
+            paragraph = [];
+        }
+    };
+
+    var flushQuote = function() {
+        if (quoted.length) {
+            html += '<blockquote>' + plainTextToHtml(quoted.join('\n')) + '</blockquote>';
+            quoted = [];
+        }
+    };
+
+    lines.forEach(function(line) {
+        if (/^>/.test(line)) {
+            flushParagraph();
+            quoted.push(line.replace(/^> ?/, ''));
+            return;
+        }
+        flushQuote();
+        if (!line.trim()) {
+            return flushParagraph();
+        }
+        paragraph.push(line);
+    });
+
+    flushParagraph();
+    flushQuote();
+
+    return html;
+}
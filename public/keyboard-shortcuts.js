@@ -0,0 +1,371 @@
+/* eslint-env browser */
+/* global $, INBOX_ID */
+/* eslint prefer-arrow-callback: 0, no-var: 0, object-shorthand: 0 */
+
+'use strict';
+
+// Keyboard shortcuts for the webmail pages. In the message list, actions apply to the selected messages or
+// to the highlighted row if nothing is selected. In the message view, actions apply to the displayed message.
+
+document.addEventListener('DOMContentLoaded', function() {
+    // "g" must be followed by the second key in this time (ms)
+    var SEQUENCE_TIMEOUT = 1500;
+
+    var messageToolbar = document.querySelector('[data-shortcuts="message"]');
+    var cursorRow = false;
+    var cursorIndex = -1;
+    var pendingG = 0;
+    var pendingAction = false;
+
+    var isTyping = function(elm) {
+        if (!elm || !elm.tagName) {
+            return false;
+        }
+        return ['INPUT', 'TEXTAREA', 'SELECT'].indexOf(elm.tagName) >= 0 || elm.isContentEditable;
+    };
+
+    var getRows = function() {
+        return Array.prototype.slice.call(document.querySelectorAll('.messagelist tr.messagerow'));
+    };
+
+    var getRowEntry = function(row) {
+        var checkbox = row && row.querySelector('.message-checkbox');
+        if (!checkbox) {
+            return false;
+        }
+        return {
+            mailbox: checkbox.dataset.mailbox,
+            message: checkbox.dataset.message,
+            row: row
+        };
+    };
+
+    var setCursor = function(index) {
+        var rows = getRows();
+        if (!rows.length) {
+            cursorRow = false;
+            cursorIndex = -1;
+            return;
+        }
+
+        index = Math.max(Math.min(index, rows.length - 1), 0);
+        if (cursorRow) {
+            cursorRow.classList.remove('messagerow-cursor');
+        }
+
+        cursorIndex = index;
+        cursorRow = rows[index];
+        cursorRow.classList.add('messagerow-cursor');
+        cursorRow.scrollIntoView({ block: 'nearest' });
+    };
+
+    var moveCursor = function(offset) {
+        var rows = getRows();
+        // the list might have been redrawn since the cursor was set
+        var index = cursorRow ? rows.indexOf(cursorRow) : -1;
+        if (index < 0) {
+            index = cursorIndex < 0 ? -offset : cursorIndex - offset;
+        }
+        setCursor(index + offset);
+    };
+
+    var getCursorEntry = function() {
+        if (!cursorRow || !cursorRow.parentNode) {
+            return false;
+        }
+        return getRowEntry(cursorRow);
+    };
+
+    // selected messages or the highlighted row in the message list
+    var getTargets = function() {
+        var checked = document.querySelectorAll('.message-checkbox:checked');
+        var targets = [];
+        for (var i = 0; i < checked.length; i++) {
+            var row = checked[i].closest('tr.messagerow');
+            targets.push({
+                mailbox: checked[i].dataset.mailbox,
+                message: checked[i].dataset.message,
+                row: row
+            });
+        }
+
+        if (!targets.length) {
+            var entry = getCursorEntry();
+            if (entry) {
+                targets.push(entry);
+            }
+        }
+
+        return targets;
+    };
+
+    // posts the targets to an API endpoint, one request per mailbox, and returns the list of processed targets
+    // and the API responses
+    var postTargets = function(url, targets, data, callback) {
+        var groupkeys = [];
+        var groups = {};
+        targets.forEach(function(entry) {
+            if (!groups[entry.mailbox]) {
+                groups[entry.mailbox] = [];
+                groupkeys.push(entry.mailbox);
+            }
+            groups[entry.mailbox].push(entry);
+        });
+
+        var processed = [];
+        var responses = [];
+        var batchPos = 0;
+        var processBatch = function() {
+            if (batchPos >= groupkeys.length) {
+                return callback(null, processed, responses);
+            }
+            var mailbox = groupkeys[batchPos++];
+            var entries = groups[mailbox];
+
+            var body = {
+                _csrf: document.getElementById('_csrf').value,
+                mailbox: mailbox,
+                message: entries
+                    .map(function(entry) {
+                        return entry.message;
+                    })
+                    .join(',')
+            };
+            Object.keys(data || {}).forEach(function(key) {
+                body[key] = data[key];
+            });
+
+            fetch(url, {
+                method: 'post',
+                headers: {
+                    Accept: 'application/json, text/plain, */*',
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify(body)
+            })
+                .then(function(res) {
+                    return res.json();
+                })
+                .then(function(res) {
+                    if (!res || res.error) {
+                        return callback(new Error((res && res.error) || 'Request failed'), processed, responses);
+                    }
+                    responses.push(res);
+
+                    if (Array.isArray(res.id)) {
+                        // moved or deleted messages are listed by ID
+                        res.id.forEach(function(result) {
+                            if (!result || !result[0] || !result[1]) {
+                                return;
+                            }
+                            entries.forEach(function(entry) {
+                                if (Number(entry.message) === Number(result[0])) {
+                                    processed.push(entry);
+                                }
+                            });
+                        });
+                    } else {
+                        processed = processed.concat(entries);
+                    }
+
+                    processBatch();
+                })
+                .catch(function(err) {
+                    callback(err, processed, responses);
+                });
+        };
+        processBatch();
+    };
+
+    var removeRows = function(entries) {
+        entries.forEach(function(entry) {
+            if (entry.row && entry.row.parentNode) {
+                entry.row.parentNode.removeChild(entry.row);
+            }
+        });
+        cursorRow = false;
+        if (cursorIndex >= 0) {
+            setCursor(cursorIndex);
+        }
+    };
+
+    var runAction = function(url, data, onDone) {
+        var targets = getTargets();
+        if (!targets.length || pendingAction) {
+            return;
+        }
+        pendingAction = true;
+        postTargets(url, targets, data, function(err, processed, responses) {
+            pendingAction = false;
+            if (err) {
+                console.error(err);
+            }
+            onDone(processed || [], responses || []);
+        });
+    };
+
+    var archive = function() {
+        if (messageToolbar) {
+            // the message view already archives and returns to the folder
+            var button = document.querySelector('.bulk-archive');
+            if (button) {
+                button.click();
+            }
+            return;
+        }
+
+        runAction('/api/archive', {}, function(processed, responses) {
+            var created = responses.some(function(res) {
+                return res.created;
+            });
+            if (created) {
+                // reload to show the new archive folder in the folder list
+                return window.location.reload();
+            }
+            removeRows(processed);
+        });
+    };
+
+    var deleteMessages = function() {
+        if (messageToolbar) {
+            // the message view already deletes and returns to the folder
+            return document.querySelector('.bulk-delete-confirm').click();
+        }
+        runAction('/api/delete', {}, removeRows);
+    };
+
+    var markUnseen = function() {
+        if (messageToolbar) {
+            return document.querySelector('.bulk-mark-unseen').click();
+        }
+        runAction('/api/toggle/seen', { seen: false }, function(processed) {
+            processed.forEach(function(entry) {
+                if (entry.row) {
+                    entry.row.classList.remove('message-seen');
+                    entry.row.classList.add('message-unseen');
+                }
+            });
+        });
+    };
+
+    var toggleStar = function() {
+        var elm;
+        if (messageToolbar) {
+            elm = document.querySelector('.message-subject-line .message-star');
+        } else {
+            elm = cursorRow && cursorRow.parentNode && cursorRow.querySelector('.message-star');
+        }
+        if (elm) {
+            elm.click();
+        }
+    };
+
+    var compose = function(action) {
+        if (messageToolbar) {
+            var link = document.querySelector('[data-shortcut="' + action + '"]');
+            if (link) {
+                window.location.href = link.href;
+            }
+            return;
+        }
+
+        var entry = getCursorEntry();
+        if (entry) {
+            window.location.href =
+                '/webmail/send?action=' + action + '&refMailbox=' + encodeURIComponent(entry.mailbox) + '&refMessage=' + encodeURIComponent(entry.message);
+        }
+    };
+
+    var openMessage = function() {
+        var link = cursorRow && cursorRow.parentNode && cursorRow.querySelector('.messagerow-link');
+        if (link) {
+            window.location.href = link.href;
+        }
+    };
+
+    var toggleSelected = function() {
+        var checkbox = cursorRow && cursorRow.parentNode && cursorRow.querySelector('.message-checkbox');
+        if (checkbox) {
+            // click also updates the toolbar state
+            checkbox.click();
+        }
+    };
+
+    var focusSearch = function() {
+        var input = document.getElementById('search-query');
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    };
+
+    var goToInbox = function() {
+        window.location.href = '/webmail' + (INBOX_ID && INBOX_ID !== -1 ? '/' + INBOX_ID : '');
+    };
+
+    document.addEventListener(
+        'keydown',
+        function(e) {
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) {
+                return;
+            }
+
+            if (document.querySelector('.modal.in')) {
+                // open dialogs handle their own keys
+                return;
+            }
+
+            var key = e.key;
+
+            if (pendingG && Date.now() - pendingG < SEQUENCE_TIMEOUT) {
+                pendingG = 0;
+                if (key === 'i') {
+                    e.preventDefault();
+                    return goToInbox();
+                }
+            }
+            pendingG = 0;
+
+            switch (key) {
+                case 'j':
+                    return moveCursor(1);
+                case 'k':
+                    return moveCursor(-1);
+                case 'o':
+                    return openMessage();
+                case 'Enter':
+                    // do not override activating a focused link or button
+                    if (['A', 'BUTTON'].indexOf(e.target.tagName) >= 0) {
+                        return;
+                    }
+                    return openMessage();
+                case 'x':
+                    return toggleSelected();
+                case 'r':
+                    return compose('reply');
+                case 'a':
+                    return compose('replyAll');
+                case 'f':
+                    return compose('forward');
+                case 'e':
+                    return archive();
+                case '#':
+                    return deleteMessages();
+                case 's':
+                    return toggleStar();
+                case 'U':
+                    return markUnseen();
+                case '/':
+                    e.preventDefault();
+                    return focusSearch();
+                case 'g':
+                    pendingG = Date.now();
+                    return;
+                case '?':
+                    return $('#keyboardShortcutsModal').modal('show');
+            }
+        },
+        false
+    );
+});
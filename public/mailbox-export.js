@@ -0,0 +1,99 @@
+/* eslint-env browser */
+/* eslint prefer-arrow-callback: 0, no-var: 0, object-shorthand: 0 */
+/* global $: false */
+
+'use strict';
+
+// Starts mailbox exports from links with the "export-link" class and shows export progress.
+// Export is downloaded as a regular file, progress is polled from the API using a random export ID.
+
+document.addEventListener('DOMContentLoaded', function() {
+    var container = document.getElementById('export-progress');
+    if (!container) {
+        return;
+    }
+
+    var bar = container.querySelector('.progress-bar');
+    var status = container.querySelector('.export-status');
+    var pollTimer = false;
+
+    var generateId = function() {
+        var bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        return Array.prototype.map
+            .call(bytes, function(byte) {
+                return (byte < 16 ? '0' : '') + byte.toString(16);
+            })
+            .join('');
+    };
+
+    var showProgress = function(progress) {
+        var percent = progress.total ? Math.min(Math.round((progress.processed / progress.total) * 100), 100) : 0;
+
+        if (progress.finished) {
+            percent = 100;
+        }
+
+        bar.style.width = percent + '%';
+        bar.setAttribute('aria-valuenow', percent);
+        bar.textContent = percent + '%';
+
+        if (progress.error) {
+            bar.classList.remove('active');
+            bar.classList.add('progress-bar-danger');
+            status.textContent = progress.error;
+        } else if (progress.finished) {
+            bar.classList.remove('active');
+            bar.classList.add('progress-bar-success');
+            status.textContent = 'Exported ' + progress.processed + ' of ' + progress.total + ' messages';
+        } else {
+            status.textContent = 'Exporting… ' + progress.processed + ' of ' + progress.total + ' messages';
+        }
+    };
+
+    var poll = function(id) {
+        pollTimer = setTimeout(function() {
+            $.getJSON('/api/export/progress', { id: id }, function(data) {
+                if (!data || !data.success) {
+                    return poll(id);
+                }
+
+                showProgress(data.progress);
+                if (data.progress.finished) {
+                    pollTimer = false;
+                    return;
+                }
+                poll(id);
+            }).fail(function() {
+                poll(id);
+            });
+        }, 1000);
+    };
+
+    Array.prototype.slice.call(document.querySelectorAll('.export-link')).forEach(function(elm) {
+        elm.addEventListener(
+            'click',
+            function(e) {
+                e.preventDefault();
+
+                if (pollTimer) {
+                    // only a single export can be tracked at a time
+                    return;
+                }
+
+                var id = generateId();
+                var href = elm.getAttribute('href');
+
+                bar.classList.remove('progress-bar-success', 'progress-bar-danger');
+                bar.classList.add('active');
+                showProgress({ total: 0, processed: 0 });
+                status.textContent = 'Preparing export…';
+                container.style.display = 'block';
+
+                window.location.href = href + (href.indexOf('?') >= 0 ? '&' : '?') + 'progress=' + id;
+                poll(id);
+            },
+            false
+        );
+    });
+});
@@ -0,0 +1,37 @@
+/* eslint-env browser */
+/* eslint prefer-arrow-callback: 0, no-var: 0, object-shorthand: 0 */
+
+'use strict';
+
+// Loads unseen message counters for the saved search folders in the sidebar. Counting requires a search
+// for every saved query, so counters are loaded after the page is already displayed.
+
+document.addEventListener('DOMContentLoaded', function() {
+    var badges = document.querySelectorAll('.saved-search-counter');
+    if (!badges.length) {
+        return;
+    }
+
+    fetch('/api/saved-searches/counters', {
+        headers: {
+            Accept: 'application/json, text/plain, */*'
+        },
+        credentials: 'include'
+    })
+        .then(function(res) {
+            return res.json();
+        })
+        .then(function(res) {
+            if (!res.success) {
+                return;
+            }
+            for (var i = 0; i < badges.length; i++) {
+                var count = res.counters[badges[i].dataset.folder];
+                badges[i].textContent = count || '';
+                badges[i].style.display = count ? 'block' : 'none';
+            }
+        })
+        .catch(function(err) {
+            console.error(err);
+        });
+});
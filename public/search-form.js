@@ -0,0 +1,85 @@
+/* eslint-env browser */
+/* eslint prefer-arrow-callback: 0, no-var: 0, object-shorthand: 0 */
+
+'use strict';
+
+// Builds a search query from the advanced search form, so the query syntax does not have to be typed by hand
+
+document.addEventListener('DOMContentLoaded', function() {
+    var form = document.getElementById('search-form');
+    var input = document.getElementById('search-query');
+    var container = form && form.querySelector('.advanced-search');
+
+    if (!form || !input || !container) {
+        return;
+    }
+
+    // values with spaces are quoted, quotes can not be escaped in the query syntax so these are removed
+    var formatValue = function(value) {
+        value = value.replace(/"/g, '').trim();
+        return /\s/.test(value) ? '"' + value + '"' : value;
+    };
+
+    var buildQuery = function() {
+        var terms = [];
+        var fields = container.querySelectorAll('[data-key]');
+
+        for (var i = 0; i < fields.length; i++) {
+            var field = fields[i];
+            var key = field.dataset.key;
+            var value = field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value.trim();
+
+            if (!value) {
+                continue;
+            }
+
+            switch (key) {
+                case 'words':
+                    terms.push(value);
+                    break;
+                case 'exclude':
+                    value.split(/\s+/).forEach(function(word) {
+                        if (word) {
+                            terms.push('-' + formatValue(word));
+                        }
+                    });
+                    break;
+                default:
+                    terms.push(key + ':' + formatValue(value));
+            }
+        }
+
+        return terms.join(' ');
+    };
+
+    var submit = function() {
+        var query = buildQuery();
+        if (!query) {
+            return;
+        }
+        input.value = query;
+        form.submit();
+    };
+
+    // clicks inside the form should not close the dropdown
+    container.addEventListener(
+        'click',
+        function(e) {
+            e.stopPropagation();
+        },
+        false
+    );
+
+    container.addEventListener(
+        'keydown',
+        function(e) {
+            if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+                e.preventDefault();
+                submit();
+            }
+        },
+        false
+    );
+
+    container.querySelector('.advanced-search-submit').addEventListener('click', submit, false);
+});
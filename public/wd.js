@@ -71,5 +71,12 @@ updateDatestrings();
 updateFixedDatestrings();
 updateRelativeDatestrings();
 
+// hide "undo send" buttons once the message has been sent
+[].slice.call(document.querySelectorAll('.undo-send')).forEach(elm => {
+    setTimeout(() => {
+        elm.style.display = 'none';
+    }, Number(elm.dataset.remaining) || 0);
+});
+
 setInterval(updateRelativeDatestrings, 10 * 1000);
 setInterval(updateDatestrings, 60 * 1000);
@@ -38,9 +38,14 @@ const recaptchaVerify = function(req, res, next) {
 
 // sub services
 router.use('/filters', passport.checkLogin, require('./account/filters'));
+router.use('/senders', passport.checkLogin, require('./account/senders'));
 router.use('/autoreply', passport.checkLogin, require('./account/autoreply'));
 router.use('/identities', passport.checkLogin, require('./account/identities'));
+router.use('/contacts', passport.checkLogin, require('./account/contacts'));
 router.use('/restore', passport.checkLogin, require('./account/restore'));
+router.use('/templates', passport.checkLogin, require('./account/templates'));
+router.use('/preferences', passport.checkLogin, require('./account/preferences'));
+router.use('/unsubscribes', passport.checkLogin, require('./account/unsubscribes'));
 
 router.use('/security', passport.checkLogin, require('./account/security'));
 
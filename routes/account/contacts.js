@@ -0,0 +1,433 @@
+'use strict';
+
+const express = require('express');
+const router = new express.Router();
+const Joi = require('joi');
+const contacts = require('../../lib/contacts');
+const vcard = require('../../lib/vcard');
+
+const contactBaseSchema = {
+    name: Joi.string()
+        .empty('')
+        .trim()
+        .max(256)
+        .label('Name'),
+    emails: Joi.array()
+        .items(
+            Joi.string()
+                .trim()
+                .email()
+                .empty('')
+        )
+        .label('E-mail addresses'),
+    phones: Joi.array()
+        .items(
+            Joi.string()
+                .trim()
+                .max(64)
+                .empty('')
+        )
+        .label('Phone numbers'),
+    organization: Joi.string()
+        .empty('')
+        .trim()
+        .max(256)
+        .label('Organization'),
+    note: Joi.string()
+        .empty('')
+        .trim()
+        .max(4096)
+        .label('Notes'),
+    groups: Joi.array()
+        .items(
+            Joi.string()
+                .trim()
+                .max(128)
+                .empty('')
+        )
+        .label('Groups')
+};
+
+router.get('/', (req, res, next) => {
+    const schema = Joi.object().keys({
+        group: Joi.string()
+            .trim()
+            .max(128)
+            .empty('')
+    });
+
+    let result = Joi.validate(req.query, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    let group = (!result.error && result.value.group) || false;
+
+    contacts.groups(req.user, (err, groups) => {
+        if (err) {
+            return next(err);
+        }
+
+        contacts.list(req.user, { group }, (err, contactList) => {
+            if (err) {
+                return next(err);
+            }
+
+            res.render('account/contacts', {
+                title: 'Contacts',
+                activeContacts: true,
+
+                group,
+                groupQuery: group ? encodeURIComponent(group) : '',
+                groups: groups.map(name => ({
+                    name,
+                    query: encodeURIComponent(name),
+                    selected: name === group
+                })),
+
+                contacts: contactList.map((contact, i) => {
+                    contact.index = i + 1;
+                    contact.emailList = contact.emails.map(email => email.address).join(', ');
+                    contact.groupList = contact.groups.join(', ');
+                    return contact;
+                }),
+                csrfToken: req.csrfToken()
+            });
+        });
+    });
+});
+
+router.get('/create', (req, res) => {
+    res.render('account/contacts/create', {
+        title: 'Add contact',
+        activeContacts: true,
+
+        values: {
+            emails: req.query.email || ''
+        },
+        csrfToken: req.csrfToken()
+    });
+});
+
+router.post('/create', (req, res) => {
+    const createSchema = Joi.object().keys(contactBaseSchema);
+
+    delete req.body._csrf;
+    splitFormValues(req.body);
+
+    let result = Joi.validate(req.body, createSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    let showErrors = (errors, disableDefault) => {
+        if (!disableDefault) {
+            req.flash('danger', 'Failed to create contact');
+        }
+
+        res.render('account/contacts/create', {
+            title: 'Add contact',
+            activeContacts: true,
+
+            values: joinFormValues(result.value),
+            errors,
+
+            csrfToken: req.csrfToken()
+        });
+    };
+
+    if (result.error) {
+        return showErrors(getErrors(result.error));
+    }
+
+    if (!result.value.name && !(result.value.emails || []).filter(email => email).length) {
+        return showErrors({
+            name: 'Either a name or an e-mail address is required'
+        });
+    }
+
+    contacts.create(req.user, getContactObject(result.value), (err, id) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return showErrors(false, true);
+        }
+        req.flash('success', 'Contact was created');
+        return res.redirect('/account/contacts?created=' + encodeURIComponent(id));
+    });
+});
+
+router.get('/edit', (req, res) => {
+    const updateSchema = Joi.object().keys({
+        id: Joi.string()
+            .trim()
+            .hex()
+            .length(24)
+            .label('Contact ID')
+            .required()
+    });
+
+    let result = Joi.validate(req.query, updateSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/account/contacts');
+    }
+
+    contacts.get(req.user, result.value.id, (err, contact) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/account/contacts');
+        }
+
+        if (!contact) {
+            req.flash('danger', 'Unknown contact');
+            return res.redirect('/account/contacts');
+        }
+
+        res.render('account/contacts/edit', {
+            title: 'Edit contact',
+            activeContacts: true,
+
+            values: joinFormValues({
+                id: contact.id,
+                name: contact.name,
+                emails: contact.emails.map(email => email.address),
+                phones: contact.phones.map(phone => phone.number),
+                organization: contact.organization,
+                note: contact.note,
+                groups: contact.groups
+            }),
+
+            csrfToken: req.csrfToken()
+        });
+    });
+});
+
+router.post('/edit', (req, res) => {
+    const updateSchema = Joi.object()
+        .keys({
+            id: Joi.string()
+                .trim()
+                .hex()
+                .length(24)
+                .label('Contact ID')
+                .required()
+        })
+        .keys(contactBaseSchema);
+
+    delete req.body._csrf;
+    splitFormValues(req.body);
+
+    let result = Joi.validate(req.body, updateSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    let showErrors = (errors, disableDefault) => {
+        if (!disableDefault) {
+            req.flash('danger', 'Failed to update contact');
+        }
+
+        res.render('account/contacts/edit', {
+            title: 'Edit contact',
+            activeContacts: true,
+
+            values: joinFormValues(result.value),
+            errors,
+
+            csrfToken: req.csrfToken()
+        });
+    };
+
+    if (result.error) {
+        return showErrors(getErrors(result.error));
+    }
+
+    if (!result.value.name && !(result.value.emails || []).filter(email => email).length) {
+        return showErrors({
+            name: 'Either a name or an e-mail address is required'
+        });
+    }
+
+    contacts.get(req.user, result.value.id, (err, existing) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return showErrors(false, true);
+        }
+
+        if (!existing) {
+            req.flash('danger', 'Unknown contact');
+            return res.redirect('/account/contacts');
+        }
+
+        contacts.update(req.user, result.value.id, getContactObject(result.value, existing), err => {
+            if (err) {
+                req.flash('danger', err.message);
+                return showErrors(false, true);
+            }
+            req.flash('success', 'Contact was updated');
+            return res.redirect('/account/contacts?updated=' + encodeURIComponent(result.value.id));
+        });
+    });
+});
+
+router.post('/delete', (req, res) => {
+    const deleteSchema = Joi.object().keys({
+        id: Joi.string()
+            .trim()
+            .hex()
+            .length(24)
+            .label('Contact ID')
+            .required()
+    });
+
+    delete req.body._csrf;
+    let result = Joi.validate(req.body, deleteSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/account/contacts');
+    }
+
+    contacts.del(req.user, result.value.id, err => {
+        if (err) {
+            req.flash('danger', 'Database Error, failed to delete contact');
+            return res.redirect('/account/contacts');
+        }
+
+        req.flash('success', 'Contact was deleted');
+        return res.redirect('/account/contacts');
+    });
+});
+
+router.get('/export.vcf', (req, res, next) => {
+    const schema = Joi.object().keys({
+        group: Joi.string()
+            .trim()
+            .max(128)
+            .empty(''),
+        version: Joi.string()
+            .valid(vcard.SUPPORTED_VERSIONS)
+            .default('3.0')
+    });
+
+    let result = Joi.validate(req.query, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/account/contacts');
+    }
+
+    contacts.list(req.user, { group: result.value.group }, (err, contactList) => {
+        if (err) {
+            return next(err);
+        }
+
+        res.set('Content-Type', 'text/vcard; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="contacts.vcf"');
+        res.send(vcard.format(contactList, result.value.version));
+    });
+});
+
+router.post('/import', (req, res) => {
+    if (!req.file || !req.file.buffer || !req.file.buffer.length) {
+        req.flash('danger', 'No vCard file was uploaded');
+        return res.redirect('/account/contacts');
+    }
+
+    let contactList = vcard.parse(req.file.buffer.toString('utf-8'));
+    if (!contactList.length) {
+        req.flash('danger', 'Could not find any contacts from the uploaded file');
+        return res.redirect('/account/contacts');
+    }
+
+    contacts.import(req.user, contactList, (err, imported) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/account/contacts');
+        }
+
+        req.flash('success', 'Imported ' + imported + ' contact' + (imported === 1 ? '' : 's'));
+        return res.redirect('/account/contacts');
+    });
+});
+
+// list values are edited as text, convert these into arrays before validation
+function splitFormValues(body) {
+    ['emails', 'phones', 'groups'].forEach(key => {
+        if (typeof body[key] === 'string') {
+            body[key] = body[key].split(key === 'phones' ? /\r?\n/ : /[,\r\n]+/);
+        } else {
+            delete body[key];
+        }
+    });
+}
+
+function joinFormValues(values) {
+    values = Object.assign({}, values);
+    ['emails', 'phones', 'groups'].forEach(key => {
+        if (Array.isArray(values[key])) {
+            values[key] = values[key].filter(value => value).join(key === 'groups' ? ', ' : '\n');
+        }
+    });
+    return values;
+}
+
+function getErrors(error) {
+    let errors = {};
+    if (error && error.details) {
+        error.details.forEach(detail => {
+            let path = [].concat(detail.path || []).shift();
+            if (!errors[path]) {
+                errors[path] = detail.message;
+            }
+        });
+    }
+    return errors;
+}
+
+// types (work, home etc.) are not editable in the form, so these are copied over from the existing contact
+function getContactObject(data, existing) {
+    let getType = (list, key, value) => {
+        let match = ((existing && existing[list]) || []).find(entry => entry[key].toLowerCase() === value.toLowerCase());
+        return match ? match.type : '';
+    };
+
+    return {
+        name: data.name,
+        emails: (data.emails || []).filter(address => address).map(address => ({ address, type: getType('emails', 'address', address) })),
+        phones: (data.phones || []).filter(number => number).map(number => ({ number, type: getType('phones', 'number', number) })),
+        organization: data.organization,
+        note: data.note,
+        groups: data.groups || []
+    };
+}
+
+module.exports = router;
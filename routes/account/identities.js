@@ -4,6 +4,7 @@ const config = require('wild-config');
 const express = require('express');
 const router = new express.Router();
 const apiClient = require('../../lib/api-client');
+const signatures = require('../../lib/signatures');
 const Joi = require('joi');
 const roleBasedAddresses = require('role-based-email-addresses');
 const util = require('util');
@@ -201,16 +202,26 @@ router.get('/edit', (req, res) => {
         address.domain = address.address.substr(address.address.indexOf('@') + 1);
         address.address = address.address.substr(0, address.address.indexOf('@'));
 
-        res.render('account/identities/edit', {
-            title: 'Edit address',
-            activeHome: true,
-            accMenuIdentities: true,
+        signatures.get(req.user, address.id, (err, signature) => {
+            if (err) {
+                req.flash('danger', err.message);
+                return res.redirect('/account/identities');
+            }
 
-            domains: config.service.domains,
-            values: address,
-            isMain: address.main,
+            address.signature = signature;
 
-            csrfToken: req.csrfToken()
+            res.render('account/identities/edit', {
+                title: 'Edit address',
+                activeHome: true,
+                accMenuIdentities: true,
+
+                domains: config.service.domains,
+                values: address,
+                isMain: address.main,
+                signatureJson: JSON.stringify(signature || '').replace(/\//g, '\\u002f'),
+
+                csrfToken: req.csrfToken()
+            });
         });
     });
 });
@@ -249,7 +260,12 @@ router.post('/edit', (req, res) => {
         main: Joi.boolean()
             .truthy(['Y', 'true', 'yes', 'on', 1])
             .falsy(['N', 'false', 'no', 'off', 0, ''])
-            .default(false)
+            .default(false),
+        signature: Joi.string()
+            .empty('')
+            .trim()
+            .max(64 * 1024)
+            .label('Signature')
     };
 
     delete req.body._csrf;
@@ -278,6 +294,7 @@ router.post('/edit', (req, res) => {
                 domains: config.service.domains,
                 values: result.value,
                 isMain: address.main,
+                signatureJson: JSON.stringify(result.value.signature || '').replace(/\//g, '\\u002f'),
 
                 errors,
 
@@ -326,8 +343,15 @@ router.post('/edit', (req, res) => {
                 req.flash('danger', err.message);
                 return showErrors(false, true);
             }
-            req.flash('success', 'Identity was updated');
-            return res.redirect('/account/identities?updated=' + encodeURIComponent(result.value.id));
+
+            signatures.set(req.user, result.value.id, result.value.signature, err => {
+                if (err) {
+                    req.flash('danger', 'Database Error, failed to store signature');
+                    return showErrors(false, true);
+                }
+                req.flash('success', 'Identity was updated');
+                return res.redirect('/account/identities?updated=' + encodeURIComponent(result.value.id));
+            });
         });
     });
 });
@@ -364,8 +388,10 @@ router.post('/delete', (req, res) => {
             return res.redirect('/account/identities');
         }
 
-        req.flash('success', 'User data updated, identity was deleted');
-        return res.redirect('/account/identities');
+        signatures.del(req.user, result.value.id, () => {
+            req.flash('success', 'User data updated, identity was deleted');
+            return res.redirect('/account/identities');
+        });
     });
 });
 
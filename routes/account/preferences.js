@@ -0,0 +1,124 @@
+'use strict';
+
+const express = require('express');
+const router = new express.Router();
+const Joi = require('joi');
+const settings = require('../../lib/settings');
+const scheduler = require('../../lib/scheduler');
+
+const undoSendDelays = [0, 5, 10, 20, 30];
+const composeFormats = [{ value: 'html', description: 'Rich text (HTML)' }, { value: 'text', description: 'Plain text' }];
+
+router.get('/', (req, res, next) => {
+    settings.get(req.user, (err, values) => {
+        if (err) {
+            return next(err);
+        }
+
+        res.render('account/preferences', {
+            title: 'Preferences',
+            activeHome: true,
+            accMenuPreferences: true,
+
+            undoSendDelays: getUndoSendDelays(values.undoSendDelay),
+            undoSendDisabled: !scheduler.enabled(),
+            composeFormats: getComposeFormats(values.composeFormat),
+
+            values,
+            csrfToken: req.csrfToken()
+        });
+    });
+});
+
+router.post('/', (req, res) => {
+    const updateSchema = Joi.object().keys({
+        undoSendDelay: Joi.number()
+            .integer()
+            .min(0)
+            .max(settings.MAX_UNDO_SEND_DELAY)
+            .label('Undo send')
+            .required(),
+        composeFormat: Joi.string()
+            .valid(composeFormats.map(format => format.value))
+            .label('Compose format')
+            .required(),
+        keyboardShortcuts: Joi.boolean()
+            .truthy(['Y', 'true', 'yes', 'on', 1])
+            .falsy(['N', 'false', 'no', 'off', 0, ''])
+            .default(false),
+        archiveByYear: Joi.boolean()
+            .truthy(['Y', 'true', 'yes', 'on', 1])
+            .falsy(['N', 'false', 'no', 'off', 0, ''])
+            .default(false)
+    });
+
+    delete req.body._csrf;
+    let result = Joi.validate(req.body, updateSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    let showErrors = (errors, disableDefault) => {
+        if (!disableDefault) {
+            req.flash('danger', 'Failed to update preferences');
+        }
+
+        res.render('account/preferences', {
+            title: 'Preferences',
+            activeHome: true,
+            accMenuPreferences: true,
+
+            undoSendDelays: getUndoSendDelays(result.value.undoSendDelay),
+            undoSendDisabled: !scheduler.enabled(),
+            composeFormats: getComposeFormats(result.value.composeFormat),
+
+            values: result.value,
+            errors,
+
+            csrfToken: req.csrfToken()
+        });
+    };
+
+    if (result.error) {
+        let errors = {};
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                let path = detail.path;
+                if (!errors[path]) {
+                    errors[path] = detail.message;
+                }
+            });
+        }
+
+        return showErrors(errors);
+    }
+
+    settings.update(req.user, result.value, err => {
+        if (err) {
+            req.flash('danger', 'Database Error, failed to update preferences');
+            return showErrors({}, true);
+        }
+
+        req.flash('success', 'Preferences were updated');
+        res.redirect('/account/preferences');
+    });
+});
+
+function getUndoSendDelays(selected) {
+    return undoSendDelays.map(value => ({
+        value,
+        description: value ? value + ' seconds' : 'Send immediately',
+        selected: Number(selected) === value
+    }));
+}
+
+function getComposeFormats(selected) {
+    return composeFormats.map(format => ({
+        value: format.value,
+        description: format.description,
+        selected: selected === format.value
+    }));
+}
+
+module.exports = router;
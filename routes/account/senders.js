@@ -0,0 +1,269 @@
+'use strict';
+
+const express = require('express');
+const router = new express.Router();
+const Joi = require('joi');
+const senders = require('../../lib/senders');
+
+// how many senders can be added at once
+const MAX_SENDERS = 500;
+
+const listDescriptions = {
+    spam: 'Block, move to Junk Mail',
+    delete: 'Block, delete messages',
+    trust: 'Trust, never mark as spam'
+};
+
+router.get('/', (req, res, next) => {
+    renderSenders(req, res, next, { list: 'spam' }, {});
+});
+
+router.post('/add', (req, res, next) => {
+    const addSchema = Joi.object().keys({
+        senders: Joi.string()
+            .trim()
+            .max(64 * 1024)
+            .label('Addresses and domains')
+            .required(),
+        list: Joi.string()
+            .valid(Object.keys(senders.LISTS))
+            .label('List')
+            .required(),
+        // the message view returns back to the message
+        returnTo: Joi.string()
+            .regex(/^\/webmail\/[a-z0-9/._-]*$/i)
+            .empty('')
+    });
+
+    delete req.body._csrf;
+    let result = Joi.validate(req.body, addSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    let showErrors = (errors, disableDefault) => {
+        if (result.value.returnTo) {
+            Object.keys(errors).forEach(key => req.flash('danger', errors[key]));
+            return res.redirect(result.value.returnTo);
+        }
+        if (!disableDefault) {
+            req.flash('danger', 'Failed to add senders');
+        }
+        renderSenders(req, res, next, result.value, errors);
+    };
+
+    if (result.error) {
+        let errors = {};
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                if (!errors[detail.path]) {
+                    errors[detail.path] = detail.message;
+                }
+            });
+        }
+
+        return showErrors(errors);
+    }
+
+    let parsed = senders.parseSenders(result.value.senders);
+    if (parsed.invalid.length) {
+        return showErrors({ senders: 'Invalid addresses or domains: ' + formatInvalid(parsed.invalid) });
+    }
+
+    if (parsed.senders.length > MAX_SENDERS) {
+        return showErrors({ senders: 'Up to ' + MAX_SENDERS + ' addresses or domains can be added at once' });
+    }
+
+    senders.add(req.user, parsed.senders, result.value.list, (err, added) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return showErrors({}, true);
+        }
+
+        req.flash('success', formatAdded(added, result.value.list));
+        res.redirect(result.value.returnTo || '/account/senders');
+    });
+});
+
+router.post('/import', (req, res) => {
+    const importSchema = Joi.object().keys({
+        list: Joi.string()
+            .valid(Object.keys(senders.LISTS))
+            .label('List')
+            .required()
+    });
+
+    delete req.body._csrf;
+    let result = Joi.validate(req.body, importSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/account/senders');
+    }
+
+    if (!req.file || !req.file.buffer || !req.file.buffer.length) {
+        req.flash('danger', 'No file was uploaded');
+        return res.redirect('/account/senders');
+    }
+
+    let parsed = senders.parseSenders(req.file.buffer.toString('utf-8'));
+    if (!parsed.senders.length) {
+        req.flash('danger', 'Could not find any addresses or domains from the uploaded file');
+        return res.redirect('/account/senders');
+    }
+
+    if (parsed.senders.length > MAX_SENDERS) {
+        req.flash('danger', 'Up to ' + MAX_SENDERS + ' addresses or domains can be imported at once');
+        return res.redirect('/account/senders');
+    }
+
+    // invalid lines are skipped, the rest of the file is still imported
+    if (parsed.invalid.length) {
+        req.flash('warning', 'Skipped invalid addresses or domains: ' + formatInvalid(parsed.invalid));
+    }
+
+    senders.add(req.user, parsed.senders, result.value.list, (err, added) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/account/senders');
+        }
+
+        req.flash('success', formatAdded(added, result.value.list));
+        res.redirect('/account/senders');
+    });
+});
+
+router.get('/export.txt', (req, res, next) => {
+    const schema = Joi.object().keys({
+        list: Joi.string()
+            .valid('blocked', 'trusted')
+            .default('blocked')
+    });
+
+    let result = Joi.validate(req.query, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/account/senders');
+    }
+
+    let blocked = result.value.list === 'blocked';
+
+    senders.list(req.user, (err, list) => {
+        if (err) {
+            return next(err);
+        }
+
+        let lines = ['# ' + (blocked ? 'Blocked' : 'Trusted') + ' senders'].concat(list.filter(entry => entry.blocked === blocked).map(entry => entry.value));
+
+        res.set('Content-Type', 'text/plain; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="' + result.value.list + '-senders.txt"');
+        res.send(lines.join('\n') + '\n');
+    });
+});
+
+router.post('/delete', (req, res) => {
+    const deleteSchema = Joi.object().keys({
+        id: Joi.string()
+            .trim()
+            .hex()
+            .length(24)
+            .label('Sender ID')
+            .required()
+    });
+
+    delete req.body._csrf;
+    let result = Joi.validate(req.body, deleteSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/account/senders');
+    }
+
+    senders.remove(req.user, result.value.id, err => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/account/senders');
+        }
+
+        req.flash('success', 'Sender was removed from the list');
+        return res.redirect('/account/senders');
+    });
+});
+
+function renderSenders(req, res, next, values, errors) {
+    senders.list(req.user, (err, list) => {
+        if (err) {
+            return next(err);
+        }
+
+        let entries = list.map(entry => ({
+            id: entry.id,
+            value: entry.value,
+            isDomain: entry.type === 'domain',
+            blocked: entry.blocked,
+            description: listDescriptions[entry.list]
+        }));
+
+        res.render('account/senders', {
+            title: 'Senders',
+            activeFilters: true,
+
+            blocked: entries.filter(entry => entry.blocked),
+            trusted: entries.filter(entry => !entry.blocked),
+            lists: getLists(values.list),
+
+            values,
+            errors,
+
+            csrfToken: req.csrfToken()
+        });
+    });
+}
+
+function getLists(selected) {
+    return Object.keys(senders.LISTS).map(value => ({
+        value,
+        description: listDescriptions[value],
+        selected: value === selected
+    }));
+}
+
+function formatInvalid(invalid) {
+    return invalid.slice(0, 10).join(', ') + (invalid.length > 10 ? ' and ' + (invalid.length - 10) + ' more' : '');
+}
+
+function formatAdded(added, list) {
+    return (
+        (added === 1 ? '1 sender was' : added + ' senders were') +
+        ' added to the ' +
+        (senders.LISTS[list].blocked ? 'block list' : 'trusted senders list')
+    );
+}
+
+module.exports = router;
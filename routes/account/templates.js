@@ -0,0 +1,260 @@
+'use strict';
+
+const express = require('express');
+const router = new express.Router();
+const Joi = require('joi');
+const templates = require('../../lib/templates');
+
+const templateBaseSchema = {
+    name: Joi.string()
+        .trim()
+        .max(256)
+        .label('Template name')
+        .required(),
+    subject: Joi.string()
+        .empty('')
+        .trim()
+        .max(1024)
+        .label('Subject'),
+    html: Joi.string()
+        .empty('')
+        .trim()
+        .max(256 * 1024)
+        .label('Message')
+};
+
+router.get('/', (req, res, next) => {
+    templates.list(req.user, (err, list) => {
+        if (err) {
+            return next(err);
+        }
+
+        res.render('account/templates', {
+            title: 'Templates',
+            activeHome: true,
+            accMenuTemplates: true,
+
+            templates: list.map((template, i) => {
+                template.index = i + 1;
+                return template;
+            }),
+
+            csrfToken: req.csrfToken()
+        });
+    });
+});
+
+router.get('/create', (req, res) => {
+    res.render('account/templates/create', {
+        title: 'Add template',
+        activeHome: true,
+        accMenuTemplates: true,
+
+        values: {},
+        placeholders: templates.PLACEHOLDERS,
+        htmlJson: JSON.stringify(''),
+
+        csrfToken: req.csrfToken()
+    });
+});
+
+router.post('/create', (req, res) => {
+    const createSchema = Joi.object().keys(templateBaseSchema);
+
+    delete req.body._csrf;
+    let result = Joi.validate(req.body, createSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    let showErrors = (errors, disableDefault) => {
+        if (!disableDefault) {
+            req.flash('danger', 'Failed to create template');
+        }
+
+        res.render('account/templates/create', {
+            title: 'Add template',
+            activeHome: true,
+            accMenuTemplates: true,
+
+            values: result.value,
+            placeholders: templates.PLACEHOLDERS,
+            htmlJson: JSON.stringify(result.value.html || '').replace(/\//g, '\\u002f'),
+            errors,
+
+            csrfToken: req.csrfToken()
+        });
+    };
+
+    if (result.error) {
+        return showErrors(getErrors(result.error));
+    }
+
+    templates.create(req.user, result.value, (err, id) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return showErrors(false, true);
+        }
+        req.flash('success', 'Template was created');
+        return res.redirect('/account/templates?created=' + encodeURIComponent(id));
+    });
+});
+
+router.get('/edit', (req, res) => {
+    const updateSchema = Joi.object().keys({
+        id: Joi.string()
+            .trim()
+            .hex()
+            .length(24)
+            .label('Template ID')
+            .required()
+    });
+
+    let result = Joi.validate(req.query, updateSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/account/templates');
+    }
+
+    templates.get(req.user, result.value.id, (err, template) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/account/templates');
+        }
+
+        if (!template) {
+            req.flash('danger', 'Unknown template');
+            return res.redirect('/account/templates');
+        }
+
+        res.render('account/templates/edit', {
+            title: 'Edit template',
+            activeHome: true,
+            accMenuTemplates: true,
+
+            values: template,
+            placeholders: templates.PLACEHOLDERS,
+            htmlJson: JSON.stringify(template.html).replace(/\//g, '\\u002f'),
+
+            csrfToken: req.csrfToken()
+        });
+    });
+});
+
+router.post('/edit', (req, res) => {
+    const updateSchema = Joi.object()
+        .keys({
+            id: Joi.string()
+                .trim()
+                .hex()
+                .length(24)
+                .label('Template ID')
+                .required()
+        })
+        .keys(templateBaseSchema);
+
+    delete req.body._csrf;
+    let result = Joi.validate(req.body, updateSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    let showErrors = (errors, disableDefault) => {
+        if (!disableDefault) {
+            req.flash('danger', 'Failed to update template');
+        }
+
+        res.render('account/templates/edit', {
+            title: 'Edit template',
+            activeHome: true,
+            accMenuTemplates: true,
+
+            values: result.value,
+            placeholders: templates.PLACEHOLDERS,
+            htmlJson: JSON.stringify(result.value.html || '').replace(/\//g, '\\u002f'),
+            errors,
+
+            csrfToken: req.csrfToken()
+        });
+    };
+
+    if (result.error) {
+        return showErrors(getErrors(result.error));
+    }
+
+    templates.update(req.user, result.value.id, result.value, (err, updated) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return showErrors(false, true);
+        }
+        if (!updated) {
+            req.flash('danger', 'Unknown template');
+            return res.redirect('/account/templates');
+        }
+        req.flash('success', 'Template was updated');
+        return res.redirect('/account/templates?updated=' + encodeURIComponent(result.value.id));
+    });
+});
+
+router.post('/delete', (req, res) => {
+    const deleteSchema = Joi.object().keys({
+        id: Joi.string()
+            .trim()
+            .hex()
+            .length(24)
+            .label('Template ID')
+            .required()
+    });
+
+    delete req.body._csrf;
+    let result = Joi.validate(req.body, deleteSchema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/account/templates');
+    }
+
+    templates.del(req.user, result.value.id, err => {
+        if (err) {
+            req.flash('danger', 'Database Error, failed to delete template');
+            return res.redirect('/account/templates');
+        }
+
+        req.flash('success', 'Template was deleted');
+        return res.redirect('/account/templates');
+    });
+});
+
+function getErrors(error) {
+    let errors = {};
+    if (error && error.details) {
+        error.details.forEach(detail => {
+            let path = [].concat(detail.path || []).shift();
+            if (!errors[path]) {
+                errors[path] = detail.message;
+            }
+        });
+    }
+    return errors;
+}
+
+module.exports = router;
@@ -0,0 +1,39 @@
+'use strict';
+
+const express = require('express');
+const router = new express.Router();
+const unsubscribe = require('../../lib/unsubscribe');
+
+const methodDescriptions = {
+    post: 'One-click request',
+    mailto: 'Unsubscribe email',
+    link: 'Unsubscribe page'
+};
+
+router.get('/', (req, res, next) => {
+    unsubscribe.list(req.user, (err, list) => {
+        if (err) {
+            return next(err);
+        }
+
+        res.render('account/unsubscribes', {
+            title: 'Unsubscribes',
+            activeHome: true,
+            accMenuUnsubscribes: true,
+
+            unsubscribes: list.map(entry => ({
+                list: entry.listId || entry.from || entry.target,
+                from: entry.listId ? entry.from : false,
+                method: methodDescriptions[entry.method] || entry.method,
+                target: entry.target,
+                created: entry.created.toISOString(),
+                // link targets are opened by the user, so there is no result to show
+                opened: entry.success === null,
+                success: entry.success === true,
+                error: entry.error
+            }))
+        });
+    });
+});
+
+module.exports = router;
@@ -5,6 +5,18 @@ const apiClient = require('../lib/api-client');
 const express = require('express');
 const router = new express.Router();
 const tools = require('../lib/tools');
+const contacts = require('../lib/contacts');
+const exportProgress = require('../lib/export-progress');
+const uploads = require('../lib/uploads');
+const redirect = require('../lib/redirect');
+const archive = require('../lib/archive');
+const spam = require('../lib/spam');
+const settings = require('../lib/settings');
+const savedSearches = require('../lib/saved-searches');
+const threads = require('../lib/threads');
+const addressparser = require('nodemailer/lib/addressparser');
+
+const MAX_REDIRECT_RECIPIENTS = 50;
 
 router.post('/toggle/flagged', (req, res) => {
     const schema = Joi.object().keys({
@@ -143,6 +155,120 @@ router.post('/move', (req, res) => {
     );
 });
 
+router.post('/archive', (req, res) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required(),
+        message: Joi.string()
+            .regex(/^\d+(,\d+)*$/i)
+            .required()
+    });
+
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        return res.json({
+            error: result.error.message
+        });
+    }
+
+    settings.get(req.user, (err, userSettings) => {
+        if (err) {
+            return res.json({
+                error: err.message
+            });
+        }
+
+        let mailbox = result.value.mailbox;
+        let messages = result.value.message.split(',');
+
+        let groupMessages = done => {
+            if (!userSettings.archiveByYear) {
+                return done(null, new Map([[false, messages]]));
+            }
+            archive.groupByYear(req.user, mailbox, messages, done);
+        };
+
+        groupMessages((err, groups) => {
+            if (err) {
+                return res.json({
+                    error: err.message
+                });
+            }
+
+            let response = {
+                success: true,
+                action: 'archive',
+                id: [],
+                created: false
+            };
+            let entries = Array.from(groups.entries());
+            let pos = 0;
+
+            let processNext = () => {
+                if (pos >= entries.length) {
+                    if (!response.target) {
+                        return res.json({
+                            error: 'Messages are already archived'
+                        });
+                    }
+                    return res.json(response);
+                }
+                let [year, ids] = entries[pos++];
+
+                archive.getArchiveMailbox(req.user, { byYear: userSettings.archiveByYear, year }, (err, archiveMailbox) => {
+                    if (err) {
+                        return res.json({
+                            error: err.message
+                        });
+                    }
+
+                    // the folder list in the sidebar is outdated if the archive folder was just created
+                    response.created = response.created || archiveMailbox.created;
+
+                    if (archiveMailbox.id === mailbox) {
+                        // these messages are already archived
+                        return setImmediate(processNext);
+                    }
+
+                    apiClient.messages.update(
+                        req.user,
+                        mailbox,
+                        {
+                            message: ids.join(','),
+                            moveTo: archiveMailbox.id
+                        },
+                        (err, updated) => {
+                            if (err) {
+                                return res.json({
+                                    error: err.message
+                                });
+                            }
+                            response.target = archiveMailbox.id;
+                            response.id = response.id.concat((updated && updated.id) || []);
+                            setImmediate(processNext);
+                        }
+                    );
+                });
+            };
+            processNext();
+        });
+    });
+});
+
+router.post('/spam', (req, res) => reportMessages(req, res, true));
+
+router.post('/notspam', (req, res) => reportMessages(req, res, false));
+
 router.post('/delete', (req, res) => {
     const schema = Joi.object().keys({
         mailbox: Joi.string()
@@ -232,13 +358,136 @@ router.post('/delete', (req, res) => {
     });
 });
 
-router.post('/list', (req, res) => {
+// resends selected messages to new recipients without changing the message contents
+router.post('/redirect', (req, res) => {
     const schema = Joi.object().keys({
         mailbox: Joi.string()
             .hex()
             .lowercase()
             .length(24)
-            .allow('starred')
+            .required(),
+        message: Joi.string()
+            .regex(/^\d+(,\d+)*$/i)
+            .required(),
+        to: Joi.string()
+            .trim()
+            .max(1024)
+            .required()
+    });
+
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        return res.json({
+            error: result.error.message
+        });
+    }
+
+    let to = [];
+    let addRecipients = list => {
+        list.forEach(entry => {
+            if (entry.group) {
+                return addRecipients(entry.group);
+            }
+            if (entry.address && /@/.test(entry.address)) {
+                to.push({ name: entry.name || '', address: entry.address });
+            }
+        });
+    };
+    addRecipients(addressparser(result.value.to));
+
+    if (!to.length) {
+        return res.json({
+            error: 'No recipients defined'
+        });
+    }
+
+    if (to.length > MAX_REDIRECT_RECIPIENTS) {
+        return res.json({
+            error: 'Too many recipients'
+        });
+    }
+
+    apiClient.mailboxes.list(req.user, false, (err, mailboxes) => {
+        if (err) {
+            return res.json({ error: err.message });
+        }
+
+        let drafts = mailboxes.find(box => box.specialUse === '\\Drafts');
+        if (!drafts) {
+            return res.json({
+                error: 'Drafts folder not found'
+            });
+        }
+
+        apiClient.addresses.list(req.user, (err, addresses) => {
+            if (err) {
+                return res.json({ error: err.message });
+            }
+
+            let address = addresses.find(address => address.main) || addresses[0];
+            if (!address) {
+                return res.json({
+                    error: 'No sender address found'
+                });
+            }
+
+            let options = {
+                drafts: drafts.id,
+                from: {
+                    name: address.name || req.user.name || '',
+                    address: address.address
+                },
+                to
+            };
+
+            let messages = result.value.message
+                .split(',')
+                .map(id => Number(id))
+                .filter(id => id);
+            let pos = 0;
+            let redirected = [];
+            let processNext = () => {
+                if (pos >= messages.length) {
+                    return res.json({
+                        success: true,
+                        action: 'redirect',
+                        id: redirected
+                    });
+                }
+                let id = messages[pos++];
+
+                redirect.redirectMessage(req.user, result.value.mailbox, id, options, err => {
+                    if (err) {
+                        redirected.push([id, false, { error: err.message, code: err.code }]);
+                    } else {
+                        redirected.push([id, true]);
+                    }
+                    setImmediate(processNext);
+                });
+            };
+            setImmediate(processNext);
+        });
+    });
+});
+
+router.post('/list', (req, res) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.alternatives()
+            .try(
+                Joi.string()
+                    .hex()
+                    .lowercase()
+                    .length(24)
+                    .allow('starred'),
+                Joi.string().regex(/^saved-[a-f0-9]{24}$/, 'saved search')
+            )
             .required(),
         cursorType: Joi.string()
             .empty('')
@@ -270,17 +519,54 @@ router.post('/list', (req, res) => {
         params[result.value.cursorType] = result.value.cursorValue;
     }
 
+    // conversations of the listed messages are looked up using the same listing options
+    let threadListing;
+
     let makeRequest = done => {
+        let savedSearch = savedSearches.parseFolder(result.value.mailbox);
         if (result.value.mailbox === 'starred') {
             params.flagged = true;
             params.searchable = true;
+            threadListing = { search: params };
             return apiClient.messages.search(req.user, params, done);
+        } else if (savedSearch) {
+            return savedSearches.get(req.user, savedSearch, (err, search) => {
+                if (err) {
+                    return done(err);
+                }
+                if (!search) {
+                    return done(new Error('Saved search was not found'));
+                }
+                apiClient.mailboxes.list(req.user, false, (err, mailboxes) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    let data = Object.assign(savedSearches.getSearchArgs(search, mailboxes), params);
+                    threadListing = { search: data };
+                    apiClient.messages.search(req.user, data, done);
+                });
+            });
         } else {
+            threadListing = { mailbox: result.value.mailbox };
             apiClient.messages.list(req.user, result.value.mailbox, params, done);
         }
     };
 
-    makeRequest((err, response) => {
+    let loadListing = done =>
+        makeRequest((err, response) => {
+            if (err || !req.session.threaded) {
+                return done(err, response);
+            }
+            threads.group(req.user, threadListing, response.results, (err, messages) => {
+                if (err) {
+                    return done(err);
+                }
+                response.results = messages;
+                done(null, response);
+            });
+        });
+
+    loadListing((err, response) => {
         if (err) {
             return res.json(err.message);
         }
@@ -291,25 +577,234 @@ router.post('/list', (req, res) => {
     });
 });
 
+// unseen counters for the virtual folders of saved searches
+router.get('/saved-searches/counters', (req, res) => {
+    savedSearches.list(req.user, (err, list) => {
+        if (err) {
+            return res.json({ error: err.message });
+        }
+        if (!list.length) {
+            return res.json({ success: true, counters: {} });
+        }
+        apiClient.mailboxes.list(req.user, false, (err, mailboxes) => {
+            if (err) {
+                return res.json({ error: err.message });
+            }
+            savedSearches.countUnseen(req.user, list, mailboxes, (err, counters) => {
+                if (err) {
+                    return res.json({ error: err.message });
+                }
+                res.json({ success: true, counters });
+            });
+        });
+    });
+});
+
+router.get('/contacts', (req, res) => {
+    const schema = Joi.object().keys({
+        query: Joi.string()
+            .trim()
+            .max(255)
+            .empty('')
+    });
+
+    let result = Joi.validate(req.query, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        return res.json({
+            error: result.error.message
+        });
+    }
+
+    contacts.search(req.user, result.value.query, (err, results) => {
+        if (err) {
+            return res.json({ error: err.message });
+        }
+        res.json({
+            success: true,
+            results
+        });
+    });
+});
+
+router.get('/export/progress', (req, res) => {
+    const schema = Joi.object().keys({
+        id: Joi.string()
+            .hex()
+            .max(32)
+            .required()
+    });
+
+    let result = Joi.validate(req.query, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        return res.json({
+            error: result.error.message
+        });
+    }
+
+    exportProgress.get(req.user, result.value.id, (err, progress) => {
+        if (err) {
+            return res.json({ error: err.message });
+        }
+        res.json({
+            success: true,
+            // export might not have been started yet
+            progress: progress || { total: 0, processed: 0, finished: false, error: false }
+        });
+    });
+});
+
 router.get('/events', (req, res) => {
     apiClient.updates.stream(req, res, req.user);
 });
 
-router.post('/upload', (req, res) =>
-    res.json({
-        file: req.file,
-        initialPreview: ["<img src='/images/desert.jpg' class='file-preview-image' alt='Desert' title='Desert'>"],
-        initialPreviewConfig: [
-            {
-                caption: 'desert.jpg',
-                url: '/api/deleteUpload',
-                key: Date.now(),
-                extra: {
-                    id: 102
-                }
+router.post('/upload', (req, res) => {
+    if (!req.file) {
+        return res.json({
+            error: 'No file was uploaded'
+        });
+    }
+
+    uploads.add(req.user, req.session.id, req.file, (err, attachment) => {
+        if (err) {
+            return res.json({ error: err.message });
+        }
+        res.json({
+            success: true,
+            attachment
+        });
+    });
+});
+
+// serves uploaded files, used for displaying inline images in the compose editor
+router.get('/upload/:id', (req, res) => {
+    const schema = Joi.object().keys({
+        id: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required()
+    });
+
+    let result = Joi.validate(req.params, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        return res.status(400).json({
+            error: result.error.message
+        });
+    }
+
+    uploads.get(req.user, req.session.id, result.value.id, (err, upload, content) => {
+        if (err) {
+            return res.status(500).json({ error: err.message });
+        }
+        if (!upload) {
+            return res.status(404).json({ error: 'Uploaded file was not found' });
+        }
+
+        res.set('Content-Type', upload.contentType);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+        res.send(content);
+    });
+});
+
+router.post('/upload/delete', (req, res) => {
+    const schema = Joi.object().keys({
+        id: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required()
+    });
+
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        return res.json({
+            error: result.error.message
+        });
+    }
+
+    uploads.del(req.user, req.session.id, result.value.id, (err, deleted) => {
+        if (err) {
+            return res.json({ error: err.message });
+        }
+        res.json({
+            success: true,
+            deleted
+        });
+    });
+});
+
+// moves messages to the Junk Mail folder or from there to INBOX, optionally blocking or trusting the senders
+function reportMessages(req, res, isSpam) {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required(),
+        message: Joi.string()
+            .regex(/^\d+(,\d+)*$/i)
+            .required(),
+        sender: Joi.boolean()
+            .truthy(['Y', 'true', 'yes', 'on', 1])
+            .falsy(['N', 'false', 'no', 'off', 0, ''])
+            .default(false)
+    });
+
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        return res.json({
+            error: result.error.message
+        });
+    }
+
+    spam.report(
+        req.user,
+        {
+            mailbox: result.value.mailbox,
+            message: result.value.message.split(',').map(id => Number(id)),
+            spam: isSpam,
+            sender: result.value.sender
+        },
+        (err, response) => {
+            if (err) {
+                return res.json({
+                    error: err.message
+                });
             }
-        ]
-    })
-);
+            response.action = isSpam ? 'spam' : 'notspam';
+            res.json(response);
+        }
+    );
+}
 
 module.exports = router;
@@ -1,26 +1,83 @@
 'use strict';
 
 const config = require('wild-config');
+const log = require('npmlog');
 const express = require('express');
 const router = new express.Router();
 const apiClient = require('../lib/api-client');
 const Joi = require('joi');
 const tools = require('../lib/tools');
+const contacts = require('../lib/contacts');
+const threads = require('../lib/threads');
+const scheduler = require('../lib/scheduler');
+const settings = require('../lib/settings');
+const composeState = require('../lib/compose-state');
+const uploads = require('../lib/uploads');
+const signatures = require('../lib/signatures');
+const messageTemplates = require('../lib/templates');
+const htmlToText = require('../lib/html-to-text');
+const mbox = require('../lib/mbox');
+const exportProgress = require('../lib/export-progress');
+const messageImport = require('../lib/message-import');
+const queryParser = require('../lib/search-query');
+const savedSearches = require('../lib/saved-searches');
+const unsubscribe = require('../lib/unsubscribe');
 const fs = require('fs');
 const util = require('util');
 const humanize = require('humanize');
-const SearchString = require('search-string');
 const he = require('he');
+const ObjectID = require('mongodb').ObjectID;
 const addressparser = require('nodemailer/lib/addressparser');
+const simpleParser = require('mailparser').simpleParser;
+const archiver = require('archiver');
+const Busboy = require('busboy');
+
+const MAX_THREAD_MESSAGES = 50;
+// attachments larger than these (in bytes) are not previewed in the browser
+const MAX_PREVIEW_SIZE = 1024 * 1024;
+const MAX_PREVIEW_MESSAGE_SIZE = 10 * 1024 * 1024;
+// largest attachment that is carried over from a draft or a forwarded message
+const MAX_DRAFT_ATTACHMENT_SIZE = 64 * 1024 * 1024;
+// largest image that is embedded from a referenced message when composing
+const MAX_INLINE_IMAGE_SIZE = 10 * 1024 * 1024;
+// largest message that can be forwarded as an attachment
+const MAX_ATTACHED_MESSAGE_SIZE = 64 * 1024 * 1024;
+// how many messages can be forwarded as attachments at once
+const MAX_ATTACHED_MESSAGES = 50;
+// how many messages to list at once when exporting a mailbox
+const EXPORT_PAGE_SIZE = 250;
+// how many files can be uploaded at once when importing messages
+const MAX_IMPORT_FILES = 100;
+
+// Saved searches are listed in the sidebar and keyboard shortcuts are set up in the webmail layout. These are only
+// loaded for routes that render a page, downloads and other non-page routes do not need these
+function loadPageData(req, res, next) {
+    res.locals.schedulingEnabled = scheduler.enabled();
+
+    savedSearches.list(req.user, (err, list) => {
+        if (err) {
+            return next(err);
+        }
+        res.locals.savedSearches = list;
+
+        settings.get(req.user, (err, userSettings) => {
+            if (err) {
+                return next(err);
+            }
+            res.locals.keyboardShortcuts = userSettings.keyboardShortcuts;
+            next();
+        });
+    });
+}
 
 const templates = {
     messageRowTemplate: fs.readFileSync(__dirname + '/../views/partials/messagerow.hbs', 'utf-8')
 };
 
-router.get('/send', (req, res) => {
+router.get('/send', loadPageData, (req, res) => {
     const schema = Joi.object().keys({
         action: Joi.string()
-            .valid('reply', 'replyAll', 'forward', 'send')
+            .valid('reply', 'replyAll', 'forward', 'forwardAttachment', 'send')
             .default('send'),
         to: Joi.string()
             .trim()
@@ -47,7 +104,17 @@ router.get('/send', (req, res) => {
         draft: Joi.boolean()
             .truthy(['Y', 'true', 'yes', 'on', 1])
             .falsy(['N', 'false', 'no', 'off', 0, ''])
-            .default(false)
+            .default(false),
+        restore: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .empty(''),
+        // messages that were selected for forwarding from the message list
+        attachMessage: Joi.array()
+            .items(Joi.string().regex(/^[a-f0-9]{24}:\d+$/, 'message reference'))
+            .max(MAX_ATTACHED_MESSAGES)
+            .single()
     });
 
     let result = Joi.validate(req.query, schema, {
@@ -72,217 +139,248 @@ router.get('/send', (req, res) => {
     let draftMessage = result.value.draftMessage;
     let isDraft = (result.value.draft && draftMailbox && draftMessage && true) || false;
 
-    apiClient.addresses.list(req.user, (err, addresses) => {
+    let getRestoredState = done => {
+        if (!result.value.restore) {
+            return done(null, false);
+        }
+        composeState.get(req.user, result.value.restore, done);
+    };
+
+    getRestoredState((err, restoredState) => {
         if (err) {
             req.flash('danger', err.message);
             return res.redirect('/webmail');
         }
 
-        let addressList = new Set();
-        addresses.forEach(addr => {
-            let address = addr.address.substr(0, addr.address.lastIndexOf('@')).replace(/\./g, '') + addr.address.substr(addr.address.lastIndexOf('@'));
-            addressList.add(address.replace(/\+[^@]*@/, '@'));
-        });
+        if (result.value.restore && !restoredState) {
+            req.flash('danger', 'Message to restore was not found');
+            return res.redirect('/webmail/send');
+        }
 
-        apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+        if (restoredState) {
+            // fields are restored as these were, so do not load anything from referenced messages
+            isDraft = false;
+            refMailbox = refMessage = false;
+        }
+
+        apiClient.addresses.list(req.user, (err, addresses) => {
             if (err) {
                 req.flash('danger', err.message);
-                res.redirect('/webmail');
-                return;
+                return res.redirect('/webmail');
             }
 
-            let getMessageData = done => {
-                if (isDraft) {
-                    return apiClient.messages.get(req.user, draftMailbox, draftMessage, done);
-                }
-
-                if (refMailbox && refMessage) {
-                    return apiClient.messages.get(req.user, refMailbox, refMessage, done);
-                }
-
-                return done();
-            };
+            let addressList = new Set();
+            addresses.forEach(addr => {
+                let address = addr.address.substr(0, addr.address.lastIndexOf('@')).replace(/\./g, '') + addr.address.substr(addr.address.lastIndexOf('@'));
+                addressList.add(address.replace(/\+[^@]*@/, '@'));
+            });
 
-            getMessageData((err, messageData) => {
+            apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
                 if (err) {
                     req.flash('danger', err.message);
                     res.redirect('/webmail');
                     return;
                 }
 
-                let hasFromAddress = false;
+                let getMessageData = done => {
+                    if (isDraft) {
+                        return apiClient.messages.get(req.user, draftMailbox, draftMessage, done);
+                    }
+
+                    if (refMailbox && refMessage) {
+                        return apiClient.messages.get(req.user, refMailbox, refMessage, done);
+                    }
 
-                let deliveredTo;
-                if (!isDraft && messageData && messageData.envelope && messageData.envelope.rcpt.length) {
-                    deliveredTo = messageData.envelope.rcpt[0].formatted;
-                }
+                    return done();
+                };
+
+                getMessageData((err, messageData) => {
+                    if (err) {
+                        req.flash('danger', err.message);
+                        res.redirect('/webmail');
+                        return;
+                    }
+
+                    let hasFromAddress = false;
 
-                if (messageData && messageData.meta) {
-                    if (messageData.meta.reference) {
-                        // override reference info
-                        action = messageData.meta.reference.action;
-                        refMailbox = messageData.meta.reference.mailbox;
-                        refMessage = messageData.meta.reference.id;
+                    let deliveredTo;
+                    if (!isDraft && messageData && messageData.envelope && messageData.envelope.rcpt.length) {
+                        deliveredTo = messageData.envelope.rcpt[0].formatted;
+                    }
+
+                    if (messageData && messageData.meta) {
+                        if (messageData.meta.reference) {
+                            // override reference info
+                            action = messageData.meta.reference.action;
+                            refMailbox = messageData.meta.reference.mailbox;
+                            refMessage = messageData.meta.reference.id;
+                        }
+                        if (messageData.meta.hasFromAddress) {
+                            // override sender address
+                            addresses.forEach(address => {
+                                if (address.main) {
+                                    // we only care if a non-main address was used
+                                    return;
+                                }
+                                if (messageData.meta.hasFromAddress === address.id) {
+                                    hasFromAddress = address;
+                                    address.selected = true;
+                                }
+                            });
+                        }
                     }
-                    if (messageData.meta.hasFromAddress) {
-                        // override sender address
+
+                    if (!hasFromAddress && deliveredTo) {
+                        // see if the same address is available as an identity
                         addresses.forEach(address => {
                             if (address.main) {
                                 // we only care if a non-main address was used
                                 return;
                             }
-                            if (messageData.meta.hasFromAddress === address.id) {
+                            if (deliveredTo === tools.normalizeAddress(address.address, false, { removeLabel: true, removeDots: true })) {
                                 hasFromAddress = address;
                                 address.selected = true;
                             }
                         });
                     }
-                }
 
-                if (!hasFromAddress && deliveredTo) {
-                    // see if the same address is available as an identity
-                    addresses.forEach(address => {
-                        if (address.main) {
-                            // we only care if a non-main address was used
-                            return;
+                    let to = [];
+                    let cc = [];
+                    let bcc = [];
+
+                    let subject = '';
+                    let html = [];
+                    let keepHtmlAsIs = false;
+                    let format = false;
+                    let textdata = '';
+                    let draftAttachments = [];
+                    let forwardAttachments = [];
+                    let attachMessage = [];
+
+                    if (isDraft && messageData) {
+                        action = result.value.draftAction || action;
+                        to = [].concat(messageData.to || []);
+                        cc = [].concat(messageData.cc || []);
+                        bcc = [].concat(messageData.bcc || []);
+                        subject = messageData.subject;
+                        keepHtmlAsIs = true;
+                        html = html.concat(getComposeHtml(messageData.html, draftMailbox, draftMessage));
+                        if (messageData.meta && messageData.meta.format === 'text') {
+                            format = 'text';
+                            textdata = [].concat(messageData.text || []).join('\n');
                         }
-                        if (deliveredTo === tools.normalizeAddress(address.address, false, { removeLabel: true, removeDots: true })) {
-                            hasFromAddress = address;
-                            address.selected = true;
-                        }
-                    });
-                }
-
-                let to = [];
-                let cc = [];
-                let bcc = [];
-
-                let subject = '';
-                let html = [];
-                let keepHtmlAsIs = false;
-
-                if (isDraft && messageData) {
-                    action = result.value.draftAction || action;
-                    to = [].concat(messageData.to || []);
-                    cc = [].concat(messageData.cc || []);
-                    bcc = [].concat(messageData.bcc || []);
-                    subject = messageData.subject;
-                    keepHtmlAsIs = true;
-                    html = html.concat(messageData.html || []);
-                } else if (messageData) {
-                    switch (action) {
-                        case 'reply':
-                        case 'replyAll':
-                            {
-                                let fromAddress = messageData.from ||
-                                    messageData.sender || {
-                                        name: '< >'
-                                    };
-
-                                let toAddresses = fromAddress.address ? [fromAddress] : [];
-                                let ccAddresses = [];
-
-                                if (action === 'replyAll') {
-                                    toAddresses = toAddresses.concat(messageData.to || []);
-                                    ccAddresses = ccAddresses.concat(messageData.cc || []);
-                                }
-
-                                let seenList = new Set();
-                                let filterNonSelf = addr => {
-                                    if (!addr.address) {
-                                        return false;
+                        draftAttachments = listMessageAttachments(messageData);
+                    } else if (messageData) {
+                        switch (action) {
+                            case 'reply':
+                            case 'replyAll':
+                                {
+                                    let fromAddress = messageData.from ||
+                                        messageData.sender || {
+                                            name: '< >'
+                                        };
+
+                                    let toAddresses = fromAddress.address ? [fromAddress] : [];
+                                    let ccAddresses = [];
+
+                                    if (action === 'replyAll') {
+                                        toAddresses = toAddresses.concat(messageData.to || []);
+                                        ccAddresses = ccAddresses.concat(messageData.cc || []);
                                     }
 
-                                    let address = tools.normalizeAddress(addr.address).replace(/\+[^@]*@/, '@');
-                                    address = address.substr(0, address.lastIndexOf('@')).replace(/\./g, '') + address.substr(address.lastIndexOf('@'));
-
-                                    if (!addressList.has(address) && !seenList.has(address)) {
-                                        if (!addr.name || addr.name.indexOf('@') >= 0) {
-                                            addr.name = addr.address;
+                                    let seenList = new Set();
+                                    let filterNonSelf = addr => {
+                                        if (!addr.address) {
+                                            return false;
                                         }
-                                        seenList.add(address);
-                                        return true;
-                                    }
-                                    return false;
-                                };
 
-                                to = toAddresses.filter(filterNonSelf);
-                                cc = ccAddresses.filter(filterNonSelf);
+                                        let address = tools.normalizeAddress(addr.address).replace(/\+[^@]*@/, '@');
+                                        address = address.substr(0, address.lastIndexOf('@')).replace(/\./g, '') + address.substr(address.lastIndexOf('@'));
 
-                                subject = 'Re: ' + messageData.subject;
-                                html.push(util.format('On {&DATE %s&}, %s wrote:<br/><br/>\n', messageData.date, tools.getAddressesHTML(fromAddress)));
-                            }
-                            break;
-                        case 'forward':
-                            subject = 'Fwd: ' + messageData.subject;
-
-                            html.push('Begin forwarded message:<br/><br/>');
+                                        if (!addressList.has(address) && !seenList.has(address)) {
+                                            if (!addr.name || addr.name.indexOf('@') >= 0) {
+                                                addr.name = addr.address;
+                                            }
+                                            seenList.add(address);
+                                            return true;
+                                        }
+                                        return false;
+                                    };
 
-                            html.push('<table>');
+                                    to = toAddresses.filter(filterNonSelf);
+                                    cc = ccAddresses.filter(filterNonSelf);
 
-                            html.push(
-                                util.format(
-                                    '<tr><th>From</th><td>%s</td></tr>',
-                                    tools.getAddressesHTML(
-                                        messageData.from ||
-                                            messageData.sender || {
-                                                name: '< >'
-                                            }
+                                    subject = 'Re: ' + messageData.subject;
+                                    html.push(util.format('On {&DATE %s&}, %s wrote:<br/><br/>\n', messageData.date, tools.getAddressesHTML(fromAddress)));
+                                }
+                                break;
+                            case 'forward':
+                                subject = 'Fwd: ' + messageData.subject;
+
+                                html.push('Begin forwarded message:<br/><br/>');
+
+                                html.push('<table>');
+
+                                html.push(
+                                    util.format(
+                                        '<tr><th>From</th><td>%s</td></tr>',
+                                        tools.getAddressesHTML(
+                                            messageData.from ||
+                                                messageData.sender || {
+                                                    name: '< >'
+                                                }
+                                        )
                                     )
-                                )
-                            );
+                                );
 
-                            if (messageData.subject) {
-                                html.push(util.format('<tr><th>Subject</th><td>%s</td></tr>', he.encode(messageData.subject)));
-                            }
+                                if (messageData.subject) {
+                                    html.push(util.format('<tr><th>Subject</th><td>%s</td></tr>', he.encode(messageData.subject)));
+                                }
 
-                            html.push(util.format('<tr><th>Date</th><td>{&DATE %s&}</td></tr>', messageData.date));
+                                html.push(util.format('<tr><th>Date</th><td>{&DATE %s&}</td></tr>', messageData.date));
 
-                            if (messageData.to) {
-                                html.push(util.format('<tr><th>To</th><td>%s</td></tr>', tools.getAddressesHTML(messageData.to)));
-                            }
+                                if (messageData.to) {
+                                    html.push(util.format('<tr><th>To</th><td>%s</td></tr>', tools.getAddressesHTML(messageData.to)));
+                                }
 
-                            if (messageData.cc) {
-                                html.push(util.format('<tr><th>Cc</th><td>%s</td></tr>', tools.getAddressesHTML(messageData.cc)));
-                            }
+                                if (messageData.cc) {
+                                    html.push(util.format('<tr><th>Cc</th><td>%s</td></tr>', tools.getAddressesHTML(messageData.cc)));
+                                }
 
-                            html.push('</table><br/>');
-                            break;
-                    }
+                                html.push('</table><br/>');
 
-                    html = html.concat(messageData.html || []);
-                } else {
-                    to = [].concat(result.value.to || []);
-                    subject = result.value.subject;
-                }
+                                // original attachments are not included unless selected in the compose form
+                                forwardAttachments = listMessageAttachments(messageData);
+                                break;
+                            case 'forwardAttachment':
+                                subject = 'Fwd: ' + messageData.subject;
+                                attachMessage = [refMailbox + ':' + refMessage];
+                                break;
+                        }
 
-                let renderAddress = addr => {
-                    if (typeof addr === 'string') {
-                        return addr.replace(/\bmailto:\/*/g, '');
-                    }
-                    if (addr.name && addr.name !== addr.address) {
-                        return '"' + addr.name.replace(/"\\/g, '') + '" <' + addr.address + '>';
+                        if (action !== 'forwardAttachment') {
+                            // forwarded message is attached as is, so there is nothing to quote
+                            html = html.concat(getComposeHtml(messageData.html, refMailbox, refMessage));
+                        }
+                    } else {
+                        to = [].concat(result.value.to || []);
+                        subject = result.value.subject;
+                        if (action === 'forwardAttachment') {
+                            attachMessage = [].concat(result.value.attachMessage || []);
+                        }
                     }
-                    return addr.address;
-                };
-
-                res.render('webmail/send', {
-                    layout: 'layout-webmail',
-                    activeWebmail: true,
-                    mailboxes: prepareMailboxList(mailboxes),
 
-                    // something other than main address might have been the recipient (if this is a reply)
-                    fromAddress: hasFromAddress,
-                    addresses: addresses.map(address => {
-                        if (hasFromAddress) {
-                            return address;
+                    let renderAddress = addr => {
+                        if (typeof addr === 'string') {
+                            return addr.replace(/\bmailto:\/*/g, '');
+                        }
+                        if (addr.name && addr.name !== addr.address) {
+                            return '"' + addr.name.replace(/"\\/g, '') + '" <' + addr.address + '>';
                         }
-                        address.name = address.name || req.user.name;
-                        address.selected = address.main;
-                        return address;
-                    }),
+                        return addr.address;
+                    };
 
-                    values: {
+                    let values = {
                         refMailbox,
                         refMessage,
                         draftMailbox: isDraft ? draftMailbox : '',
@@ -292,22 +390,88 @@ router.get('/send', (req, res) => {
                         to: to.map(renderAddress).join(', '),
                         cc: cc.map(renderAddress).join(', '),
                         bcc: bcc.map(renderAddress).join(', '),
-                        draft: isDraft ? 'yes' : ''
-                    },
+                        draft: isDraft ? 'yes' : '',
+                        format,
+                        textdata
+                    };
 
-                    messageHtml: JSON.stringify(html).replace(/\//g, '\\u002f'),
-                    keepHtmlAsIs,
-                    csrfToken: req.csrfToken()
+                    if (restoredState) {
+                        values = restoredState.values || {};
+                        html = [].concat(restoredState.html || []);
+                        keepHtmlAsIs = true;
+                        addresses.forEach(address => {
+                            if (address.id === values.from) {
+                                hasFromAddress = address;
+                                address.selected = true;
+                            }
+                        });
+                    }
+
+                    loadComposeResources(req.user, (err, resources) => {
+                        if (err) {
+                            req.flash('danger', err.message);
+                            return res.redirect('/webmail');
+                        }
+
+                        listAttachedMessages(req.user, attachMessage, (err, messageAttachments) => {
+                            if (err) {
+                                req.flash('danger', err.message);
+                                return res.redirect('/webmail');
+                            }
+
+                            values.format = values.format || resources.settings.composeFormat;
+
+                            res.render('webmail/send', {
+                                layout: 'layout-webmail',
+                                activeWebmail: true,
+                                mailboxes: prepareMailboxList(mailboxes),
+
+                                // something other than main address might have been the recipient (if this is a reply)
+                                fromAddress: hasFromAddress,
+                                addresses: addresses.map(address => {
+                                    if (hasFromAddress) {
+                                        return address;
+                                    }
+                                    address.name = address.name || req.user.name;
+                                    address.selected = address.main;
+                                    return address;
+                                }),
+
+                                values,
+
+                                messageHtml: JSON.stringify(html).replace(/\//g, '\\u002f'),
+                                keepHtmlAsIs,
+                                textMode: values.format === 'text',
+
+                                // drafts and restored messages already include a signature
+                                insertSignature: !keepHtmlAsIs,
+                                signaturesJson: JSON.stringify(resources.signatures).replace(/\//g, '\\u002f'),
+                                messageTemplates: resources.templates,
+                                messageTemplatesJson: JSON.stringify(resources.templates).replace(/\//g, '\\u002f'),
+
+                                restore: restoredState ? result.value.restore : '',
+                                restoredAttachments: composeState.listAttachments(restoredState).map(attachment => {
+                                    attachment.checked = true;
+                                    return attachment;
+                                }),
+                                draftAttachments: restoredState ? [] : draftAttachments,
+                                forwardAttachments: restoredState ? [] : forwardAttachments,
+                                messageAttachments,
+
+                                csrfToken: req.csrfToken()
+                            });
+                        });
+                    });
                 });
             });
         });
     });
 });
 
-router.post('/send', (req, res) => {
+router.post('/send', loadPageData, (req, res) => {
     const schema = Joi.object().keys({
         action: Joi.string()
-            .valid('reply', 'replyAll', 'forward', 'send', 'draft')
+            .valid('reply', 'replyAll', 'forward', 'forwardAttachment', 'send', 'draft')
             .default('send'),
         refMailbox: Joi.string()
             .hex()
@@ -328,13 +492,54 @@ router.post('/send', (req, res) => {
         bcc: Joi.string().empty(''),
         subject: Joi.string().empty(''),
         editordata: Joi.string().empty(''),
+        textdata: Joi.string().empty(''),
+        format: Joi.string()
+            .valid('html', 'text')
+            .default('html'),
         draft: Joi.boolean()
             .truthy(['Y', 'true', 'yes', 'on', 1])
             .falsy(['N', 'false', 'no', 'off', 0, ''])
             .default(false),
         userAction: Joi.string()
-            .valid('send', 'save')
-            .default('send')
+            .valid('send', 'save', 'schedule')
+            .default('send'),
+        sendTime: Joi.date()
+            .timestamp('javascript')
+            .empty(''),
+        restore: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .empty(''),
+        keepAttachment: Joi.array()
+            .items(Joi.number().min(0))
+            .single(),
+        uploadedAttachment: Joi.array()
+            .items(
+                Joi.string()
+                    .hex()
+                    .lowercase()
+                    .length(24)
+            )
+            .single(),
+        draftAttachment: Joi.array()
+            .items(
+                Joi.string()
+                    .regex(/^ATT\d+$/i, 'attachment ID')
+                    .max(32)
+            )
+            .single(),
+        forwardAttachment: Joi.array()
+            .items(
+                Joi.string()
+                    .regex(/^ATT\d+$/i, 'attachment ID')
+                    .max(32)
+            )
+            .single(),
+        attachMessage: Joi.array()
+            .items(Joi.string().regex(/^[a-f0-9]{24}:\d+$/, 'message reference'))
+            .max(MAX_ATTACHED_MESSAGES)
+            .single()
     });
 
     delete req.body._csrf;
@@ -368,31 +573,161 @@ router.post('/send', (req, res) => {
                 req.flash('danger', 'Failed sending email');
             }
 
+            let getRestoredState = done => {
+                if (!result.value.restore) {
+                    return done(null, false);
+                }
+                composeState.get(req.user, result.value.restore, done);
+            };
+
+            // attachments are listed again, so these would not have to be added again after fixing the errors
+            let getAttachmentLists = done => {
+                let values = result.value || {};
+                let uploadedIds = [].concat(values.uploadedAttachment || []);
+                let draftIds = [].concat(values.draftAttachment || []);
+                let forwardIds = [].concat(values.forwardAttachment || []);
+                let files = [].concat(req.files || []);
+                let lists = {
+                    uploadedAttachments: [],
+                    draftAttachments: [],
+                    forwardAttachments: [],
+                    messageAttachments: []
+                };
+
+                let listAttached = () => {
+                    listAttachedMessages(req.user, values.attachMessage, (err, messageAttachments) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        lists.messageAttachments = messageAttachments;
+                        done(null, lists);
+                    });
+                };
+
+                // all attachments of the forwarded message are listed, only the selected ones are checked
+                let listForwardAttachments = () => {
+                    if (values.action !== 'forward' || !values.refMailbox || !values.refMessage) {
+                        return listAttached();
+                    }
+                    apiClient.messages.get(req.user, values.refMailbox, values.refMessage, (err, refData) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        lists.forwardAttachments = listMessageAttachments(refData).map(attachment => {
+                            attachment.checked = forwardIds.includes(attachment.id);
+                            return attachment;
+                        });
+                        listAttached();
+                    });
+                };
+
+                let listDraftAttachments = () => {
+                    if (!draftIds.length || !values.draftMailbox || !values.draftMessage) {
+                        return listForwardAttachments();
+                    }
+                    apiClient.messages.get(req.user, values.draftMailbox, values.draftMessage, (err, draftData) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        lists.draftAttachments = listMessageAttachments(draftData).filter(attachment => draftIds.includes(attachment.id));
+                        listForwardAttachments();
+                    });
+                };
+
+                let listUploads = () => {
+                    if (!uploadedIds.length) {
+                        return listDraftAttachments();
+                    }
+                    uploads.list(req.user, req.session.id, (err, list) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        lists.uploadedAttachments = list.filter(upload => uploadedIds.includes(upload.id));
+                        listDraftAttachments();
+                    });
+                };
+
+                // attachments that were posted with the form are stored as uploads
+                let storeNext = () => {
+                    if (!files.length) {
+                        return listUploads();
+                    }
+                    uploads.add(req.user, req.session.id, files.shift(), (err, upload) => {
+                        if (err) {
+                            req.flash('danger', err.message);
+                        } else {
+                            uploadedIds.push(upload.id);
+                        }
+                        storeNext();
+                    });
+                };
+
+                storeNext();
+            };
+
             apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
                 if (err) {
                     req.flash('danger', err.message);
                     return res.redirect('/webmail');
                 }
 
-                res.render('webmail/send', {
-                    layout: 'layout-webmail',
-                    activeWebmail: true,
-                    mailboxes: prepareMailboxList(mailboxes),
-
-                    fromAddress,
-                    addresses: addresses.map(address => {
-                        address.name = address.name || req.user.name;
-                        address.selected = result.value.from === address.id;
-                        return address;
-                    }),
+                getRestoredState((err, state) => {
+                    if (err) {
+                        req.flash('danger', err.message);
+                        return res.redirect('/webmail');
+                    }
 
-                    values: result.value,
-                    errors,
+                    loadComposeResources(req.user, (err, resources) => {
+                        if (err) {
+                            req.flash('danger', err.message);
+                            return res.redirect('/webmail');
+                        }
 
-                    messageHtml: JSON.stringify([].concat(result.value.editordata || [])).replace(/\//g, '\\u002f'),
-                    keepHtmlAsIs: true,
+                        getAttachmentLists((err, lists) => {
+                            if (err) {
+                                req.flash('danger', err.message);
+                                return res.redirect('/webmail');
+                            }
 
-                    csrfToken: req.csrfToken()
+                            let keep = [].concat(result.value.keepAttachment || []);
+
+                            res.render('webmail/send', {
+                                layout: 'layout-webmail',
+                                activeWebmail: true,
+                                mailboxes: prepareMailboxList(mailboxes),
+
+                                fromAddress,
+                                addresses: addresses.map(address => {
+                                    address.name = address.name || req.user.name;
+                                    address.selected = result.value.from === address.id;
+                                    return address;
+                                }),
+
+                                values: result.value,
+                                sendTime: result.value.sendTime instanceof Date ? result.value.sendTime.getTime() : '',
+                                errors,
+
+                                messageHtml: JSON.stringify([].concat(result.value.editordata || [])).replace(/\//g, '\\u002f'),
+                                keepHtmlAsIs: true,
+                                textMode: result.value.format === 'text',
+                                signaturesJson: JSON.stringify(resources.signatures).replace(/\//g, '\\u002f'),
+                                messageTemplates: resources.templates,
+                                messageTemplatesJson: JSON.stringify(resources.templates).replace(/\//g, '\\u002f'),
+
+                                restore: state ? result.value.restore : '',
+                                restoredAttachments: composeState.listAttachments(state).map(attachment => {
+                                    attachment.checked = keep.includes(attachment.index);
+                                    return attachment;
+                                }),
+                                uploadedAttachments: lists.uploadedAttachments,
+                                draftAttachments: lists.draftAttachments,
+                                forwardAttachments: lists.forwardAttachments,
+                                messageAttachments: lists.messageAttachments,
+
+                                csrfToken: req.csrfToken()
+                            });
+                        });
+                    });
                 });
             });
         };
@@ -420,15 +755,22 @@ router.post('/send', (req, res) => {
         let isDraft = result.value.draft && draftMailbox && draftMessage && true;
 
         let messageData = {
-            isDraft: userAction === 'save', // only set to true when saving a draft
+            isDraft: ['save', 'schedule'].includes(userAction), // scheduled messages are kept in Drafts until sent
             uploadOnly: userAction !== 'send', // if not sending then just upload the message
             to: result.value.to && addressparser(result.value.to),
             cc: result.value.cc && addressparser(result.value.cc),
             bcc: result.value.bcc && addressparser(result.value.bcc),
-            subject: result.value.subject,
-            html: result.value.editordata
+            subject: result.value.subject
         };
 
+        if (result.value.format === 'text') {
+            messageData.text = result.value.textdata || '';
+        } else {
+            messageData.html = result.value.editordata;
+            // alternative content for clients that do not display HTML
+            messageData.text = htmlToText(result.value.editordata || '');
+        }
+
         if (req.files && req.files.length) {
             messageData.attachments = req.files.map(attachment => ({
                 filename: attachment.originalname,
@@ -447,7 +789,7 @@ router.post('/send', (req, res) => {
         }
 
         if (
-            userAction === 'send' &&
+            ['send', 'schedule'].includes(userAction) &&
             (!messageData.to || !messageData.to.length) &&
             (!messageData.cc || !messageData.cc.length) &&
             (!messageData.bcc || !messageData.bcc.length)
@@ -457,14 +799,29 @@ router.post('/send', (req, res) => {
             });
         }
 
-        switch (action) {
+        if (userAction === 'schedule' && !scheduler.enabled()) {
+            return showErrors({
+                sendTime: 'Scheduled sending is not available'
+            });
+        }
+
+        if (userAction === 'schedule' && (!result.value.sendTime || result.value.sendTime.getTime() <= Date.now())) {
+            return showErrors({
+                sendTime: 'Scheduled sending time must be in the future'
+            });
+        }
+
+        // messages that were forwarded from the message list do not reference a single message
+        switch (refMailbox && refMessage ? action : false) {
             case 'reply':
             case 'replyAll':
             case 'forward':
+            case 'forwardAttachment':
                 messageData.reference = {
                     mailbox: refMailbox,
                     id: refMessage,
-                    action
+                    // referenced message is flagged as forwarded in both cases
+                    action: action === 'forwardAttachment' ? 'forward' : action
                 };
                 messageData.meta = {
                     reference: messageData.reference,
@@ -473,92 +830,390 @@ router.post('/send', (req, res) => {
                 break;
         }
 
-        apiClient.messages.submit(req.user, messageData, (err, response) => {
-            if (err) {
-                req.flash('danger', err.message);
-                return showErrors({}, true);
-            }
+        // used to open drafts in the same editing mode
+        messageData.meta = Object.assign(messageData.meta || {}, { format: result.value.format });
 
-            switch (userAction) {
-                case 'send':
-                    req.flash('success', 'Message was queued for delivery');
-                    break;
-                case 'save':
-                    req.flash('success', 'Message draft was stored');
-                    return res.redirect('/webmail/' + (response.message ? response.message.mailbox : ''));
-            }
+        let recordRecipients = () => {
+            // remember used addresses for recipient suggestions, this should not block sending
+            contacts.recordRecipients(req.user, [].concat(messageData.to || [], messageData.cc || [], messageData.bcc || []), err => {
+                if (err) {
+                    log.error('Contacts', 'Failed to store recipients for user=%s error=%s', req.user.id, err.message);
+                }
+            });
+        };
 
-            let removeDraft = done => {
-                if (!isDraft || 0) {
-                    return done();
+        // the old draft is replaced, so scheduled jobs for it are either moved to the new draft or removed
+        let updateScheduled = (replacement, done) => {
+            if (!isDraft) {
+                return done();
+            }
+            scheduler.replaceMessage(req.user, draftMailbox, draftMessage, replacement, err => {
+                if (err) {
+                    log.error('Scheduler', 'Failed to update scheduled messages for user=%s error=%s', req.user.id, err.message);
                 }
-                apiClient.messages.delete(req.user, draftMailbox, draftMessage, done);
-            };
+                done();
+            });
+        };
 
-            if (response.message) {
-                return removeDraft(() => res.redirect('/webmail/'));
+        // attachments that were kept from an earlier compose state, eg. after sending was undone
+        let loadRestoredAttachments = done => {
+            if (!result.value.restore) {
+                return done(null, []);
             }
+            composeState.get(req.user, result.value.restore, (err, state) => {
+                if (err) {
+                    return done(err);
+                }
+                let keep = [].concat(result.value.keepAttachment || []);
+                done(null, ((state && state.attachments) || []).filter((attachment, i) => keep.includes(i)));
+            });
+        };
 
-            return res.redirect('/webmail/');
-        });
-    });
-});
+        // attachments that were uploaded asynchronously before the form was submitted
+        let loadUploadedAttachments = done => uploads.getAttachments(req.user, req.session.id, result.value.uploadedAttachment, done);
 
-router.get('/create', (req, res) => {
-    apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
-        if (err) {
-            req.flash('danger', err.message);
-            res.redirect('/webmail');
-            return;
-        }
+        // uploads that were embedded as inline images
+        let inlineUploads = [];
 
-        res.render('webmail/create', {
-            layout: 'layout-webmail',
-            activeWebmail: true,
-            mailboxes: prepareMailboxList(mailboxes),
+        // attachments loaded from stored messages are kept in memory until the message is submitted
+        let attachmentBudget = { remaining: uploads.MAX_TOTAL_SIZE };
 
-            values: {
-                name: ''
-            },
-            parents: getParents(mailboxes, false),
-            csrfToken: req.csrfToken()
-        });
-    });
-});
+        let embedImages = done => {
+            if (!messageData.html) {
+                return done(null, messageData.html, []);
+            }
+            embedInlineImages(req.user, req.session.id, messageData.html, (err, html, attachments, uploadIds) => {
+                if (err) {
+                    return done(err);
+                }
+                inlineUploads = uploadIds;
+                done(null, html, attachments);
+            });
+        };
 
-router.post('/create', (req, res) => {
-    const schema = Joi.object().keys({
-        parent: Joi.string()
-            .default('')
-            .allow(''),
-        name: Joi.string()
-            .regex(/\//, { name: 'folder', invert: true })
-            .required()
-    });
+        // attachments of the edited draft that were not removed in the compose form
+        let loadDraftAttachments = done => {
+            if (!isDraft) {
+                return done(null, []);
+            }
+            fetchMessageAttachments(req.user, draftMailbox, draftMessage, result.value.draftAttachment, attachmentBudget, done);
+        };
 
-    delete req.body._csrf;
+        // attachments of the forwarded message that were selected in the compose form
+        let loadForwardAttachments = done => {
+            if (action !== 'forward' || !refMailbox || !refMessage) {
+                return done(null, []);
+            }
+            fetchMessageAttachments(req.user, refMailbox, refMessage, result.value.forwardAttachment, attachmentBudget, done);
+        };
 
-    let result = Joi.validate(req.body, schema, {
-        abortEarly: false,
-        convert: true,
-        allowUnknown: true
-    });
+        // messages that are forwarded as message/rfc822 attachments
+        let loadMessageAttachments = done => loadAttachedMessages(req.user, result.value.attachMessage, attachmentBudget, done);
 
-    let showErrors = (errors, disableDefault) => {
-        if (!disableDefault) {
-            req.flash('danger', 'Failed creating mailbox');
-        }
+        // uploaded attachments are not needed anymore once these are included in a sent or stored message. Inline images
+        // of delayed messages are kept until the message is submitted, as restoring the message would still use these
+        let removeUploads = keepInline => {
+            let ids = [].concat(result.value.uploadedAttachment || [], keepInline ? [] : inlineUploads);
+            uploads.del(req.user, req.session.id, ids, err => {
+                if (err) {
+                    log.error('Uploads', 'Failed to remove uploaded attachments for user=%s error=%s', req.user.id, err.message);
+                }
+            });
+        };
 
-        apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
-            if (err) {
-                req.flash('danger', err.message);
-                return res.redirect('/webmail');
+        let getUndoSendDelay = done => {
+            // delayed messages are submitted by the scheduler
+            if (userAction !== 'send' || !scheduler.enabled()) {
+                return done(null, 0);
             }
+            settings.get(req.user, (err, userSettings) => {
+                if (err) {
+                    // send without a delay
+                    log.error('Settings', 'Failed to load settings for user=%s error=%s', req.user.id, err.message);
+                    return done(null, 0);
+                }
+                done(null, userSettings.undoSendDelay);
+            });
+        };
 
-            res.render('webmail/create', {
-                layout: 'layout-webmail',
-                activeWebmail: true,
-                mailboxes: prepareMailboxList(mailboxes),
+        // message is submitted by the scheduler after a delay, until then it is possible to undo sending
+        let submitLater = undoSendDelay => {
+            let values = {};
+            ['action', 'refMailbox', 'refMessage', 'draftMailbox', 'draftMessage', 'draft', 'from', 'to', 'cc', 'bcc', 'subject', 'format', 'textdata'].forEach(key => {
+                values[key] = result.value[key];
+            });
+
+            scheduler.submitLater(
+                req.user,
+                {
+                    messageData,
+                    values,
+                    html: result.value.editordata || '',
+                    removeDraft: isDraft ? { mailbox: draftMailbox, id: draftMessage } : false,
+                    uploads: inlineUploads.length ? { session: req.session.id, ids: inlineUploads } : false,
+                    delay: undoSendDelay
+                },
+                (err, id, sendTime) => {
+                    if (err) {
+                        req.flash('danger', err.message);
+                        return showErrors({}, true);
+                    }
+
+                    req.flash('success', {
+                        message: 'Message will be sent in ' + undoSendDelay + ' seconds',
+                        undo: id,
+                        expires: sendTime
+                    });
+                    removeUploads(true);
+                    updateScheduled(false, () => res.redirect('/webmail/'));
+                }
+            );
+        };
+
+        loadRestoredAttachments((err, restoredAttachments) => {
+            if (err) {
+                req.flash('danger', err.message);
+                return showErrors({}, true);
+            }
+
+            loadUploadedAttachments((err, uploadedAttachments) => {
+                if (err) {
+                    return showErrors({
+                        attachment: err.message
+                    });
+                }
+
+                loadDraftAttachments((err, draftAttachments) => {
+                    if (err) {
+                        return showErrors({
+                            attachment: err.message
+                        });
+                    }
+
+                    loadForwardAttachments((err, forwardAttachments) => {
+                        if (err) {
+                            return showErrors({
+                                attachment: err.message
+                            });
+                        }
+
+                        loadMessageAttachments((err, messageAttachments) => {
+                            if (err) {
+                                return showErrors({
+                                    attachment: err.message
+                                });
+                            }
+
+                            embedImages((err, html, inlineAttachments) => {
+                                if (err) {
+                                    req.flash('danger', err.message);
+                                    return showErrors({}, true);
+                                }
+
+                                messageData.html = html;
+
+                                let attachments = draftAttachments.concat(
+                                    messageAttachments,
+                                    forwardAttachments,
+                                    restoredAttachments,
+                                    uploadedAttachments,
+                                    inlineAttachments
+                                );
+                                if (attachments.length) {
+                                    messageData.attachments = attachments.concat(messageData.attachments || []);
+                                }
+
+                                getUndoSendDelay((err, undoSendDelay) => {
+                                    if (!err && undoSendDelay) {
+                                        return submitLater(undoSendDelay);
+                                    }
+
+                                    apiClient.messages.submit(req.user, messageData, (err, response) => {
+                                        if (err) {
+                                            req.flash('danger', err.message);
+                                            return showErrors({}, true);
+                                        }
+
+                                        removeUploads();
+
+                                        switch (userAction) {
+                                            case 'send':
+                                                req.flash('success', 'Message was queued for delivery');
+                                                recordRecipients();
+                                                break;
+                                            case 'save':
+                                                req.flash('success', 'Message draft was stored');
+                                                return updateScheduled(response.message, () =>
+                                                    res.redirect('/webmail/' + (response.message ? response.message.mailbox : ''))
+                                                );
+                                            case 'schedule':
+                                                if (!response.message) {
+                                                    req.flash('danger', 'Failed to store message for scheduled sending');
+                                                    return showErrors({}, true);
+                                                }
+                                                return updateScheduled(false, () =>
+                                                    scheduler.schedule(
+                                                        req.user,
+                                                        {
+                                                            mailbox: response.message.mailbox,
+                                                            message: response.message.id,
+                                                            sendTime: result.value.sendTime,
+                                                            subject: messageData.subject,
+                                                            to: result.value.to || result.value.cc || result.value.bcc
+                                                        },
+                                                        err => {
+                                                            if (err) {
+                                                                req.flash('danger', 'Failed to schedule message, it was stored to Drafts instead');
+                                                                return res.redirect('/webmail/' + response.message.mailbox);
+                                                            }
+                                                            req.flash('success', 'Message was scheduled for sending');
+                                                            return res.redirect('/webmail/scheduled');
+                                                        }
+                                                    )
+                                                );
+                                        }
+
+                                        let removeDraft = done => {
+                                            if (!isDraft || 0) {
+                                                return done();
+                                            }
+                                            apiClient.messages.delete(req.user, draftMailbox, draftMessage, done);
+                                        };
+
+                                        if (response.message) {
+                                            return updateScheduled(false, () => removeDraft(() => res.redirect('/webmail/')));
+                                        }
+
+                                        return updateScheduled(false, () => res.redirect('/webmail/'));
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+router.post('/send/undo', (req, res) => {
+    const schema = Joi.object().keys({
+        id: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required()
+    });
+
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    scheduler.takeSubmit(req.user, result.value.id, (err, payload) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/webmail');
+        }
+
+        if (!payload) {
+            req.flash('danger', 'Message has already been sent');
+            return res.redirect('/webmail');
+        }
+
+        // attachments are kept on the server as files can not be pushed back to the browser. Inline images
+        // are skipped as the restored HTML still references the original image URLs
+        composeState.save(
+            req.user,
+            {
+                values: payload.values,
+                html: payload.html,
+                attachments: (payload.messageData.attachments || []).filter(attachment => !attachment.cid)
+            },
+            (err, id) => {
+                if (err) {
+                    // we have already removed the pending message, so store it as a draft to not lose it
+                    let messageData = Object.assign({}, payload.messageData, { isDraft: true, uploadOnly: true });
+                    return apiClient.messages.submit(req.user, messageData, () => {
+                        req.flash('danger', 'Sending was canceled but the message could not be restored, it was stored to Drafts instead');
+                        return res.redirect('/webmail');
+                    });
+                }
+
+                req.flash('info', 'Sending was canceled');
+                return res.redirect('/webmail/send?restore=' + id);
+            }
+        );
+    });
+});
+
+router.get('/create', loadPageData, (req, res) => {
+    apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+        if (err) {
+            req.flash('danger', err.message);
+            res.redirect('/webmail');
+            return;
+        }
+
+        res.render('webmail/create', {
+            layout: 'layout-webmail',
+            activeWebmail: true,
+            mailboxes: prepareMailboxList(mailboxes),
+
+            values: {
+                name: ''
+            },
+            parents: getParents(mailboxes, false),
+            csrfToken: req.csrfToken()
+        });
+    });
+});
+
+router.post('/create', loadPageData, (req, res) => {
+    const schema = Joi.object().keys({
+        parent: Joi.string()
+            .default('')
+            .allow(''),
+        name: Joi.string()
+            .regex(/\//, { name: 'folder', invert: true })
+            .required()
+    });
+
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    let showErrors = (errors, disableDefault) => {
+        if (!disableDefault) {
+            req.flash('danger', 'Failed creating mailbox');
+        }
+
+        apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+            if (err) {
+                req.flash('danger', err.message);
+                return res.redirect('/webmail');
+            }
+
+            res.render('webmail/create', {
+                layout: 'layout-webmail',
+                activeWebmail: true,
+                mailboxes: prepareMailboxList(mailboxes),
 
                 values: result.value,
                 errors,
@@ -611,218 +1266,1264 @@ router.post('/create', (req, res) => {
     );
 });
 
-/* GET home page. */
-router.get('/', renderMailbox);
-router.get('/:mailbox', renderMailbox);
+router.get('/scheduled', loadPageData, (req, res, next) => {
+    apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+        if (err) {
+            return next(err);
+        }
+
+        scheduler.list(req.user, (err, jobs) => {
+            if (err) {
+                return next(err);
+            }
+
+            res.render('webmail/scheduled', {
+                layout: 'layout-webmail',
+                activeWebmail: true,
+                activeScheduled: true,
+                mailboxes: prepareMailboxList(mailboxes),
+
+                jobs: jobs.map((job, i) => {
+                    job.index = i + 1;
+                    return job;
+                }),
+
+                csrfToken: req.csrfToken()
+            });
+        });
+    });
+});
 
-router.get('/:mailbox/message/:message', (req, res, next) => {
+router.post('/scheduled/reschedule', (req, res) => {
     const schema = Joi.object().keys({
-        mailbox: Joi.string()
+        id: Joi.string()
             .hex()
-            .length(24),
-        message: Joi.number().min(1)
+            .lowercase()
+            .length(24)
+            .required(),
+        sendTime: Joi.date()
+            .timestamp('javascript')
+            .label('Send time')
+            .required()
     });
 
-    let result = Joi.validate(req.params, schema, {
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail/scheduled');
+    }
+
+    if (result.value.sendTime.getTime() <= Date.now()) {
+        req.flash('danger', 'Scheduled sending time must be in the future');
+        return res.redirect('/webmail/scheduled');
+    }
+
+    scheduler.reschedule(req.user, result.value.id, result.value.sendTime, err => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/webmail/scheduled');
+        }
+
+        req.flash('success', 'Message was rescheduled');
+        return res.redirect('/webmail/scheduled');
+    });
+});
+
+router.post('/scheduled/cancel', (req, res) => {
+    const schema = Joi.object().keys({
+        id: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required()
+    });
+
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: false
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail/scheduled');
+    }
+
+    scheduler.cancel(req.user, result.value.id, err => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/webmail/scheduled');
+        }
+
+        req.flash('success', 'Scheduled sending was canceled, the message was kept in Drafts');
+        return res.redirect('/webmail/scheduled');
+    });
+});
+
+router.post('/saved', (req, res) => {
+    const schema = Joi.object().keys({
+        name: Joi.string()
+            .trim()
+            .max(100)
+            .required(),
+        query: Joi.string()
+            .trim()
+            .max(255)
+            .required()
+    });
+
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
         abortEarly: false,
         convert: true,
         allowUnknown: true
     });
 
+    let searchUrl = '/webmail/search?query=' + encodeURIComponent(req.body.query || '');
+
     if (result.error) {
         if (result.error && result.error.details) {
             result.error.details.forEach(detail => {
                 req.flash('danger', detail.message);
             });
         }
-        return res.redirect('/webmail');
+        return res.redirect(searchUrl);
     }
 
-    apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+    checkSavedQuery(req.user, result.value.query, err => {
         if (err) {
-            return next(err);
+            req.flash('danger', err.message);
+            return res.redirect(searchUrl);
         }
 
-        let mailbox = result.value.mailbox || mailboxes[0].id;
-        let mailboxExists = false;
-        let selectedMailbox = false;
-        mailboxes.forEach((entry, i) => {
-            entry.index = i + 1;
-            if (entry.id === mailbox) {
-                entry.selected = true;
-                mailboxExists = true;
-                selectedMailbox = entry;
-            } else if (typeof entry.canMoveTo === 'undefined') {
-                entry.canMoveTo = true;
+        savedSearches.create(req.user, result.value, (err, id) => {
+            if (err) {
+                req.flash('danger', err.message);
+                return res.redirect(searchUrl);
             }
+
+            req.flash('success', 'Search was saved');
+            return res.redirect('/webmail/saved-' + id);
         });
+    });
+});
+
+router.get('/saved/:search/settings', loadPageData, (req, res, next) => {
+    const schema = Joi.object().keys({
+        search: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required()
+    });
+
+    let result = Joi.validate(req.params, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    savedSearches.get(req.user, result.value.search, (err, search) => {
+        if (err) {
+            return next(err);
+        }
+
+        if (!search) {
+            req.flash('danger', 'Saved search was not found');
+            return res.redirect('/webmail');
+        }
+
+        apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+            if (err) {
+                return next(err);
+            }
+
+            res.render('webmail/saved-search', {
+                layout: 'layout-webmail',
+                activeWebmail: true,
+                mailboxes: prepareMailboxList(mailboxes),
+                savedSearches: markSelectedSearch(res.locals.savedSearches, search.folder),
+                search,
+
+                values: search,
+
+                csrfToken: req.csrfToken()
+            });
+        });
+    });
+});
+
+router.post('/saved/:search/settings', loadPageData, (req, res, next) => {
+    const schema = Joi.object().keys({
+        search: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required(),
+        name: Joi.string()
+            .trim()
+            .max(100)
+            .required(),
+        query: Joi.string()
+            .trim()
+            .max(255)
+            .required()
+    });
+
+    req.body.search = req.params.search;
+    delete req.body._csrf;
+
+    let result = Joi.validate(req.body, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    let showErrors = (errors, disableDefault) => {
+        if (!disableDefault) {
+            req.flash('danger', 'Failed updating saved search');
+        }
+
+        savedSearches.list(req.user, (err, list) => {
+            if (err) {
+                return next(err);
+            }
+
+            let search = list.find(entry => entry.id === result.value.search);
+            if (!search) {
+                req.flash('danger', 'Saved search was not found');
+                return res.redirect('/webmail');
+            }
+
+            apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+                if (err) {
+                    return next(err);
+                }
+
+                res.render('webmail/saved-search', {
+                    layout: 'layout-webmail',
+                    activeWebmail: true,
+                    mailboxes: prepareMailboxList(mailboxes),
+                    savedSearches: markSelectedSearch(list, search.folder),
+                    search,
+
+                    values: result.value,
+                    errors,
+
+                    csrfToken: req.csrfToken()
+                });
+            });
+        });
+    };
+
+    if (result.error) {
+        let errors = {};
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                if (!errors[detail.path]) {
+                    errors[detail.path] = detail.message;
+                }
+            });
+        }
+
+        return showErrors(errors);
+    }
+
+    checkSavedQuery(req.user, result.value.query, err => {
+        if (err) {
+            return showErrors({
+                query: err.message
+            });
+        }
+
+        savedSearches.update(req.user, result.value.search, result.value, (err, updated) => {
+            if (err) {
+                req.flash('danger', err.message);
+                return showErrors({}, true);
+            }
+
+            if (!updated) {
+                req.flash('danger', 'Saved search was not found');
+                return res.redirect('/webmail');
+            }
+
+            req.flash('success', 'Saved search was updated');
+            return res.redirect('/webmail/saved-' + result.value.search);
+        });
+    });
+});
+
+router.post('/saved/:search/delete', (req, res) => {
+    const schema = Joi.object().keys({
+        search: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required()
+    });
+
+    let result = Joi.validate(req.params, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    savedSearches.del(req.user, result.value.search, (err, deleted) => {
+        if (err) {
+            req.flash('danger', err.message);
+        }
+
+        if (deleted) {
+            req.flash('success', 'Saved search was deleted');
+        }
+
+        return res.redirect('/webmail');
+    });
+});
+
+/* GET home page. */
+router.get('/', loadPageData, renderMailbox);
+router.get('/:mailbox', loadPageData, renderMailbox);
+
+router.get('/:mailbox/message/:message', loadPageData, (req, res, next) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .length(24),
+        message: Joi.number().min(1)
+    });
+
+    let result = Joi.validate(req.params, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+        if (err) {
+            return next(err);
+        }
+
+        let mailbox = result.value.mailbox || mailboxes[0].id;
+        let mailboxExists = false;
+        let selectedMailbox = false;
+        mailboxes.forEach((entry, i) => {
+            entry.index = i + 1;
+            if (entry.id === mailbox) {
+                entry.selected = true;
+                mailboxExists = true;
+                selectedMailbox = entry;
+            } else if (typeof entry.canMoveTo === 'undefined') {
+                entry.canMoveTo = true;
+            }
+        });
+
+        if (!mailboxExists) {
+            return res.redirect('/webmail');
+        }
+
+        apiClient.messages.get(req.user, mailbox, result.value.message, (err, messageData) => {
+            if (err) {
+                return next(err);
+            }
+
+            if (!messageData) {
+                return res.redirect('/webmail');
+            }
+
+            if (messageData.draft && selectedMailbox.specialUse !== '\\Trash' && !messageData.encrypted) {
+                return res.redirect('/webmail/send?draft=true&action=send&draftMailbox=' + mailbox + '&draftMessage=' + result.value.message);
+            }
+
+            let info = [];
+            let securityInfo = [];
+
+            info.push({
+                key: 'From',
+                isHtml: true,
+                value: tools.getAddressesHTML(
+                    messageData.from ||
+                        messageData.sender || {
+                            name: '< >'
+                        }
+                )
+            });
+
+            if (messageData.to) {
+                info.push({
+                    key: 'To',
+                    isHtml: true,
+                    value: tools.getAddressesHTML(messageData.to)
+                });
+            }
+
+            if (messageData.cc) {
+                info.push({
+                    key: 'Cc',
+                    isHtml: true,
+                    value: tools.getAddressesHTML(messageData.cc)
+                });
+            }
+
+            if (messageData.bcc) {
+                info.push({
+                    key: 'Bcc',
+                    isHtml: true,
+                    value: tools.getAddressesHTML(messageData.bcc)
+                });
+            }
+
+            if (messageData.replyTo) {
+                info.push({
+                    key: 'Reply To',
+                    isHtml: true,
+                    value: tools.getAddressesHTML(messageData.replyTo)
+                });
+            }
+
+            if (messageData.verificationResults) {
+                let fromAddress = (messageData.from || messageData.sender || {}).address || '<>';
+                let returnPathAddress = (messageData.envelope && messageData.envelope.from) || '<>';
+
+                securityInfo.push({
+                    key: 'From',
+                    value: fromAddress
+                });
+
+                if (fromAddress !== returnPathAddress) {
+                    securityInfo.push({
+                        key: 'Return Path',
+                        value: returnPathAddress
+                    });
+                }
+
+                if (messageData.verificationResults.spf) {
+                    securityInfo.push({
+                        key: 'Mailed by',
+                        value: messageData.verificationResults.spf
+                    });
+                } else {
+                    securityInfo.push({
+                        key: 'Mailed by',
+                        value: 'sending host was not verified',
+                        textClass: 'text-muted'
+                    });
+                }
+
+                if (messageData.verificationResults.dkim) {
+                    securityInfo.push({
+                        key: 'Signed by',
+                        value: messageData.verificationResults.dkim
+                    });
+                } else {
+                    securityInfo.push({
+                        key: 'Signed by',
+                        value: 'message was not signed',
+                        textClass: 'text-muted'
+                    });
+                }
+
+                if (messageData.verificationResults.tls) {
+                    securityInfo.push({
+                        key: 'Security',
+                        value: 'Standard encryption (TLS)'
+                    });
+                } else {
+                    let sender = messageData.verificationResults.spf || messageData.verificationResults.dkim;
+                    securityInfo.push({
+                        key: 'Security',
+                        value: (sender || 'Sender') + ' did not encrypt this message',
+                        icon: 'exclamation-sign',
+                        textClass: 'text-danger'
+                    });
+                }
+            }
+
+            info.push({
+                key: 'Time',
+                isDate: true,
+                value: messageData.date
+            });
+
+            messageData.html = (messageData.html || []).map(html =>
+                html.replace(/attachment:(ATT\d+)/g, (str, aid) => '/webmail/' + mailbox + '/attachment/' + messageData.id + '/' + aid)
+            );
+
+            (messageData.attachments || []).forEach(attachment => {
+                attachment.previewable = !!tools.getPreviewType(attachment.contentType, attachment.filename);
+            });
+
+            messageData.info = info;
+            messageData.securityInfo = securityInfo;
+
+            // make sure that we get the actual unseen count from the server
+            apiClient.mailboxes.get(req.user, selectedMailbox.id, (err, mailbox) => {
+                if (!err && mailbox) {
+                    selectedMailbox.unseen = mailbox.unseen;
+                }
+
+                let data = {
+                    layout: 'layout-webmail',
+                    activeWebmail: true,
+                    mailboxes: prepareMailboxList(mailboxes),
+                    mailbox: selectedMailbox,
+
+                    isTrash: selectedMailbox.specialUse === '\\Trash',
+                    isJunk: selectedMailbox.specialUse === '\\Junk',
+                    isArchive: selectedMailbox.specialUse === '\\Archive',
+                    skipTrash: ['\\Trash', '\\Junk'].includes(selectedMailbox.specialUse),
+
+                    senderAddress: (messageData.from || messageData.sender || {}).address || false,
+
+                    message: messageData,
+                    messageJson: JSON.stringify(messageData).replace(/\//g, '\\u002f'),
+
+                    csrfToken: req.csrfToken()
+                };
+
+                if (selectedMailbox.path === 'INBOX') {
+                    data.inboxUnseen = selectedMailbox.unseen;
+                }
+
+                // failing to read the List-Unsubscribe header only hides the unsubscribe button
+                let loadUnsubscribe = done => {
+                    if (messageData.draft) {
+                        return done(false);
+                    }
+                    unsubscribe.getOptions(req.user, selectedMailbox.id, messageData.id, (err, options) => {
+                        if (err) {
+                            log.error('Unsubscribe', 'Failed to load message header user=%s message=%s error=%s', req.user.id, messageData.id, err.message);
+                            return done(false);
+                        }
+                        done(options);
+                    });
+                };
+
+                loadUnsubscribe(options => {
+                    data.unsubscribe = options && {
+                        listId: options.listId,
+                        isPost: options.method === 'post',
+                        isMailto: options.method === 'mailto',
+                        isLink: options.method === 'link'
+                    };
+                    res.render('webmail/message', data);
+                });
+            });
+        });
+    });
+});
+
+router.post('/:mailbox/unsubscribe/:message', (req, res) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required(),
+        message: Joi.number()
+            .min(1)
+            .required()
+    });
+
+    let result = Joi.validate(req.params, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    let messageUrl = '/webmail/' + result.value.mailbox + '/message/' + result.value.message;
+
+    unsubscribe.unsubscribe(req.user, result.value.mailbox, result.value.message, (err, options) => {
+        if (err) {
+            req.flash('danger', 'Failed to unsubscribe. ' + err.message);
+            return res.redirect(messageUrl);
+        }
+
+        let name = options.listId || options.from || 'the mailing list';
+        switch (options.method) {
+            case 'post':
+                req.flash('success', 'Unsubscribed from ' + name);
+                break;
+            case 'mailto':
+                req.flash('success', 'Unsubscribe request for ' + name + ' was sent');
+                break;
+            default:
+                // the list only supports unsubscribing from a web page
+                return res.redirect(options.target);
+        }
+
+        res.redirect(messageUrl);
+    });
+});
+
+router.get('/:mailbox/attachment/:message/:attachment', (req, res) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required(),
+        message: Joi.number()
+            .min(1)
+            .required(),
+        attachment: Joi.string()
+            .regex(/^ATT\d+$/i)
+            .uppercase()
+            .required(),
+        inline: Joi.boolean()
+            .truthy(['Y', 'true', 'yes', 'on', 1])
+            .falsy(['N', 'false', 'no', 'off', 0, ''])
+            .default(false)
+    });
+
+    let result = Joi.validate(Object.assign({}, req.query, req.params), schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    getAttachmentData(req.user, result.value.mailbox, result.value.message, result.value.attachment, (err, messageData, attachmentData) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/webmail');
+        }
+
+        let previewType = tools.getPreviewType(attachmentData.contentType, attachmentData.filename);
+        let inline = result.value.inline && ['image', 'pdf', 'text'].includes(previewType);
+
+        res.attachment(attachmentData.filename || attachmentData.id);
+        if (inline) {
+            res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+        }
+
+        let contentType = attachmentData.contentType || 'application/octet-stream';
+        if (previewType === 'text' && !/charset=/i.test(contentType)) {
+            contentType += '; charset=utf-8';
+        }
+        res.set('Content-Type', contentType);
+        res.set('X-Content-Type-Options', 'nosniff');
+        if (previewType !== 'pdf') {
+            // browser PDF viewers do not work in a sandbox, everything else (eg. scripts in SVG files) is not allowed to run
+            res.set('Content-Security-Policy', "default-src 'none'; img-src 'self' data:; style-src 'unsafe-inline'; sandbox");
+        }
+
+        let stream = apiClient.attachment.stream(req.user, result.value.mailbox, result.value.message, result.value.attachment);
+        stream.on('error', err => {
+            log.error('Attachment', 'Failed to load attachment user=%s message=%s error=%s', req.user.id, result.value.message, err.message);
+            if (!res.headersSent) {
+                res.status(500);
+            }
+            res.end();
+        });
+        stream.on('response', response => {
+            if (response.statusCode !== 200) {
+                stream.abort();
+                res.set('Content-Disposition', 'inline');
+                res.set('Content-Type', 'text/plain');
+                return res.status(response.statusCode === 404 ? 404 : 500).send('Failed to load attachment');
+            }
+            response.pipe(res);
+        });
+    });
+});
+
+router.get('/:mailbox/attachments/:message.zip', (req, res) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required(),
+        message: Joi.number()
+            .min(1)
+            .required()
+    });
+
+    let result = Joi.validate(req.params, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    let mailbox = result.value.mailbox;
+    let message = result.value.message;
+
+    apiClient.messages.get(req.user, mailbox, message, { markAsSeen: false }, (err, messageData) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/webmail');
+        }
+
+        let attachments = (messageData && messageData.attachments) || [];
+        if (!attachments.length) {
+            req.flash('danger', 'This message does not have any attachments');
+            return res.redirect('/webmail/' + mailbox + '/message/' + message);
+        }
+
+        res.attachment('attachments-' + message + '.zip');
+        res.set('Content-Type', 'application/zip');
+
+        let archive = archiver('zip', {
+            zlib: { level: 6 }
+        });
+
+        archive.on('warning', err => {
+            log.error('Attachment', 'ZIP warning user=%s message=%s error=%s', req.user.id, message, err.message);
+        });
+
+        archive.on('error', err => {
+            log.error('Attachment', 'Failed to generate ZIP user=%s message=%s error=%s', req.user.id, message, err.message);
+            res.end();
+        });
+
+        archive.pipe(res);
+
+        let usedNames = new Set();
+        let pos = 0;
+
+        // attachments are fetched one by one, so only a single attachment stream is open at a time
+        let processNext = () => {
+            if (pos >= attachments.length) {
+                return archive.finalize();
+            }
+
+            let attachment = attachments[pos++];
+            let name = tools.getUniqueFilename(attachment.filename, usedNames, 'attachment-' + pos);
+
+            let stream = apiClient.attachment.stream(req.user, mailbox, message, attachment.id);
+            let skipped = false;
+            let skip = err => {
+                if (skipped) {
+                    return;
+                }
+                skipped = true;
+                log.error('Attachment', 'Failed to add attachment to ZIP user=%s message=%s attachment=%s error=%s', req.user.id, message, attachment.id, err.message);
+                setImmediate(processNext);
+            };
+
+            // once the attachment is being written to the archive it can not be skipped anymore, so the download is aborted
+            let failed = false;
+            let fail = err => {
+                if (failed) {
+                    return;
+                }
+                failed = true;
+                log.error('Attachment', 'Failed to stream attachment to ZIP user=%s message=%s attachment=%s error=%s', req.user.id, message, attachment.id, err.message);
+                archive.abort();
+                res.destroy();
+            };
+            let onAborted = () => fail(new Error('Attachment stream was closed'));
+
+            stream.once('error', skip);
+            stream.once('response', response => {
+                if (response.statusCode !== 200) {
+                    stream.abort();
+                    return skip(new Error('Unexpected response ' + response.statusCode));
+                }
+
+                stream.removeListener('error', skip);
+                stream.once('error', fail);
+                response.once('error', fail);
+                response.once('aborted', onAborted);
+
+                archive.once('entry', () => {
+                    stream.removeListener('error', fail);
+                    response.removeListener('error', fail);
+                    response.removeListener('aborted', onAborted);
+                    setImmediate(processNext);
+                });
+                archive.append(response, {
+                    name,
+                    date: messageData.date ? new Date(messageData.date) : new Date()
+                });
+            });
+        };
+
+        processNext();
+    });
+});
+
+router.get('/:mailbox/attachment/:message/:attachment/preview', loadPageData, (req, res) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required(),
+        message: Joi.number()
+            .min(1)
+            .required(),
+        attachment: Joi.string()
+            .regex(/^ATT\d+$/i)
+            .uppercase()
+            .required()
+    });
+
+    let result = Joi.validate(req.params, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    let mailbox = result.value.mailbox;
+    let message = result.value.message;
+    let attachment = result.value.attachment;
+
+    apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+        if (err) {
+            req.flash('danger', err.message);
+            return res.redirect('/webmail');
+        }
+
+        getAttachmentData(req.user, mailbox, message, attachment, (err, messageData, attachmentData) => {
+            if (err) {
+                req.flash('danger', err.message);
+                return res.redirect('/webmail');
+            }
+
+            let url = '/webmail/' + mailbox + '/attachment/' + message + '/' + attachment;
+            let previewType = tools.getPreviewType(attachmentData.contentType, attachmentData.filename);
+
+            let render = data => {
+                res.render(
+                    'webmail/attachment',
+                    Object.assign(
+                        {
+                            layout: 'layout-webmail',
+                            activeWebmail: true,
+                            mailboxes: prepareMailboxList(mailboxes),
+
+                            mailbox,
+                            message: messageData,
+                            attachment: attachmentData,
+                            url,
+                            isImage: previewType === 'image',
+                            isPdf: previewType === 'pdf',
+                            noPreview: !previewType,
+
+                            csrfToken: req.csrfToken()
+                        },
+                        data || {}
+                    )
+                );
+            };
+
+            switch (previewType) {
+                case 'text':
+                    return apiClient.attachment.fetch(req.user, mailbox, message, attachment, MAX_PREVIEW_SIZE, (err, content) => {
+                        if (err) {
+                            return render({ previewError: err.message });
+                        }
+                        render({ isText: true, text: content.toString('utf-8') });
+                    });
+
+                case 'message':
+                    return apiClient.attachment.fetch(req.user, mailbox, message, attachment, MAX_PREVIEW_MESSAGE_SIZE, (err, content) => {
+                        if (err) {
+                            return render({ previewError: err.message });
+                        }
+                        simpleParser(content, (err, parsed) => {
+                            if (err) {
+                                return render({ previewError: 'Failed to parse attached message' });
+                            }
+                            let nested = formatNestedMessage(parsed);
+                            render({
+                                isMessage: true,
+                                nested,
+                                nestedJson: JSON.stringify({ html: nested.html }).replace(/\//g, '\\u002f')
+                            });
+                        });
+                    });
+
+                default:
+                    render();
+            }
+        });
+    });
+});
+
+router.get('/:mailbox/raw/:message.eml', (req, res) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required(),
+        message: Joi.number()
+            .min(1)
+            .required()
+    });
+
+    let result = Joi.validate(req.params, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    apiClient.messages.raw(req, res, req.user, result.value.mailbox, result.value.message);
+});
+
+router.get('/:mailbox/export.:format', (req, res, next) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .allow('starred', 'search')
+            .required(),
+        format: Joi.string()
+            .valid('mbox', 'zip')
+            .required(),
+        query: Joi.string()
+            .max(255)
+            .empty(''),
+        progress: Joi.string()
+            .hex()
+            .max(32)
+            .empty('')
+    });
+
+    let result = Joi.validate(Object.assign({}, req.query, req.params), schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    let mailbox = result.value.mailbox;
+    let format = result.value.format;
+    let progressId = result.value.progress;
+
+    if (mailbox === 'search' && !result.value.query) {
+        req.flash('danger', 'Search query is required for exporting search results');
+        return res.redirect('/webmail');
+    }
+
+    apiClient.mailboxes.list(req.user, false, (err, mailboxes) => {
+        if (err) {
+            return next(err);
+        }
 
-        if (!mailboxExists) {
-            return res.redirect('/webmail');
+        let filename;
+        if (['starred', 'search'].includes(mailbox)) {
+            filename = mailbox === 'starred' ? 'Starred' : 'Search results';
+        } else {
+            let selectedMailbox = mailboxes.find(entry => entry.id === mailbox);
+            if (!selectedMailbox) {
+                req.flash('danger', 'Selected mailbox does not exist');
+                return res.redirect('/webmail');
+            }
+            filename = selectedMailbox.name || selectedMailbox.path;
         }
+        filename = tools.getUniqueFilename(filename + '.' + format, new Set(), 'export.' + format);
 
-        apiClient.messages.get(req.user, mailbox, result.value.message, (err, messageData) => {
-            if (err) {
-                return next(err);
+        // loads a single page of messages to export
+        let listMessages = (cursor, done) => {
+            let data = {
+                next: cursor,
+                limit: EXPORT_PAGE_SIZE
+            };
+
+            if (mailbox === 'starred') {
+                data.flagged = true;
+                data.searchable = true;
+                return apiClient.messages.search(req.user, data, done);
             }
 
-            if (!messageData) {
-                return res.redirect('/webmail');
+            if (mailbox === 'search') {
+                let errors = applySearchQuery(data, result.value.query, mailboxes);
+                if (errors.length) {
+                    return done(new Error(errors.join('. ')));
+                }
+                return apiClient.messages.search(req.user, data, done);
             }
 
-            if (messageData.draft && selectedMailbox.specialUse !== '\\Trash' && !messageData.encrypted) {
-                return res.redirect('/webmail/send?draft=true&action=send&draftMailbox=' + mailbox + '&draftMessage=' + result.value.message);
+            apiClient.messages.list(req.user, mailbox, data, done);
+        };
+
+        listMessages(false, (err, page) => {
+            if (err) {
+                req.flash('danger', err.message);
+                return res.redirect('/webmail');
             }
 
-            let info = [];
-            let securityInfo = [];
+            let finished = false;
+            let currentStream = false;
 
-            info.push({
-                key: 'From',
-                isHtml: true,
-                value: tools.getAddressesHTML(
-                    messageData.from ||
-                        messageData.sender || {
-                            name: '< >'
-                        }
-                )
+            let logProgressError = err => {
+                if (err) {
+                    log.error('Export', 'Failed to update progress user=%s export=%s error=%s', req.user.id, progressId, err.message);
+                }
+            };
+
+            let finish = err => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                if (err) {
+                    log.error('Export', 'Failed to export messages user=%s mailbox=%s error=%s', req.user.id, mailbox, err.message);
+                }
+                if (progressId) {
+                    exportProgress.finish(req.user, progressId, err ? err.message : false, logProgressError);
+                }
+            };
+
+            // stop processing if the client cancels the download
+            res.once('close', () => {
+                if (finished) {
+                    return;
+                }
+                if (currentStream) {
+                    currentStream.abort();
+                }
+                finish(new Error('Export was cancelled'));
             });
 
-            if (messageData.to) {
-                info.push({
-                    key: 'To',
-                    isHtml: true,
-                    value: tools.getAddressesHTML(messageData.to)
-                });
-            }
+            res.attachment(filename);
+            res.set('Content-Type', format === 'zip' ? 'application/zip' : 'application/mbox');
 
-            if (messageData.cc) {
-                info.push({
-                    key: 'Cc',
-                    isHtml: true,
-                    value: tools.getAddressesHTML(messageData.cc)
+            let archive;
+            if (format === 'zip') {
+                archive = archiver('zip', {
+                    zlib: { level: 6 }
                 });
-            }
 
-            if (messageData.bcc) {
-                info.push({
-                    key: 'Bcc',
-                    isHtml: true,
-                    value: tools.getAddressesHTML(messageData.bcc)
+                archive.on('warning', err => {
+                    log.error('Export', 'ZIP warning user=%s mailbox=%s error=%s', req.user.id, mailbox, err.message);
                 });
-            }
 
-            if (messageData.replyTo) {
-                info.push({
-                    key: 'Reply To',
-                    isHtml: true,
-                    value: tools.getAddressesHTML(messageData.replyTo)
+                archive.on('error', err => {
+                    finish(err);
+                    res.end();
                 });
-            }
-
-            if (messageData.verificationResults) {
-                let fromAddress = (messageData.from || messageData.sender || {}).address || '<>';
-                let returnPathAddress = (messageData.envelope && messageData.envelope.from) || '<>';
 
-                securityInfo.push({
-                    key: 'From',
-                    value: fromAddress
-                });
+                archive.pipe(res);
+            }
 
-                if (fromAddress !== returnPathAddress) {
-                    securityInfo.push({
-                        key: 'Return Path',
-                        value: returnPathAddress
-                    });
-                }
+            let usedNames = new Set();
+            let messages = page.results || [];
+            let pos = 0;
 
-                if (messageData.verificationResults.spf) {
-                    securityInfo.push({
-                        key: 'Mailed by',
-                        value: messageData.verificationResults.spf
-                    });
-                } else {
-                    securityInfo.push({
-                        key: 'Mailed by',
-                        value: 'sending host was not verified',
-                        textClass: 'text-muted'
-                    });
+            // messages are exported one by one, so only a single message stream is open at a time
+            let processNext = () => {
+                if (finished) {
+                    return;
                 }
 
-                if (messageData.verificationResults.dkim) {
-                    securityInfo.push({
-                        key: 'Signed by',
-                        value: messageData.verificationResults.dkim
-                    });
-                } else {
-                    securityInfo.push({
-                        key: 'Signed by',
-                        value: 'message was not signed',
-                        textClass: 'text-muted'
-                    });
-                }
+                if (pos >= messages.length) {
+                    if (!page.nextCursor) {
+                        finish();
+                        return archive ? archive.finalize() : res.end();
+                    }
 
-                if (messageData.verificationResults.tls) {
-                    securityInfo.push({
-                        key: 'Security',
-                        value: 'Standard encryption (TLS)'
-                    });
-                } else {
-                    let sender = messageData.verificationResults.spf || messageData.verificationResults.dkim;
-                    securityInfo.push({
-                        key: 'Security',
-                        value: (sender || 'Sender') + ' did not encrypt this message',
-                        icon: 'exclamation-sign',
-                        textClass: 'text-danger'
+                    return listMessages(page.nextCursor, (err, nextPage) => {
+                        if (err) {
+                            finish(err);
+                            return archive ? archive.abort() : res.end();
+                        }
+                        page = nextPage;
+                        messages = page.results || [];
+                        pos = 0;
+                        if (!messages.length) {
+                            page.nextCursor = false;
+                        }
+                        processNext();
                     });
                 }
-            }
-
-            info.push({
-                key: 'Time',
-                isDate: true,
-                value: messageData.date
-            });
 
-            messageData.html = (messageData.html || []).map(html =>
-                html.replace(/attachment:(ATT\d+)/g, (str, aid) => '/webmail/' + mailbox + '/attachment/' + messageData.id + '/' + aid)
-            );
+                let messageData = messages[pos++];
+                let date = messageData.idate || messageData.date;
 
-            messageData.info = info;
-            messageData.securityInfo = securityInfo;
+                let processed = () => {
+                    if (!progressId) {
+                        return setImmediate(processNext);
+                    }
+                    exportProgress.increment(req.user, progressId, err => {
+                        logProgressError(err);
+                        setImmediate(processNext);
+                    });
+                };
 
-            // make sure that we get the actual unseen count from the server
-            apiClient.mailboxes.get(req.user, selectedMailbox.id, (err, mailbox) => {
-                if (!err && mailbox) {
-                    selectedMailbox.unseen = mailbox.unseen;
-                }
+                let stream = (currentStream = apiClient.messages.rawStream(req.user, messageData.mailbox || mailbox, messageData.id));
+                let skipped = false;
+                let skip = err => {
+                    if (skipped) {
+                        return;
+                    }
+                    skipped = true;
+                    log.error('Export', 'Failed to export message user=%s message=%s error=%s', req.user.id, messageData.id, err.message);
+                    processed();
+                };
 
-                let data = {
-                    layout: 'layout-webmail',
-                    activeWebmail: true,
-                    mailboxes: prepareMailboxList(mailboxes),
-                    mailbox: selectedMailbox,
+                // once the message is being written to the output it can not be skipped anymore, so the export is aborted
+                let fail = err => {
+                    if (finished) {
+                        return;
+                    }
+                    finish(err);
+                    if (archive) {
+                        archive.abort();
+                    }
+                    res.destroy();
+                };
+                let onAborted = () => fail(new Error('Message stream was closed'));
+
+                let streamResponse = false;
+                let written = () => {
+                    stream.removeListener('error', fail);
+                    streamResponse.removeListener('error', fail);
+                    streamResponse.removeListener('aborted', onAborted);
+                    processed();
+                };
 
-                    isTrash: selectedMailbox.specialUse === '\\Trash',
-                    skipTrash: ['\\Trash', '\\Junk'].includes(selectedMailbox.specialUse),
+                stream.once('error', skip);
+                stream.once('response', response => {
+                    if (response.statusCode !== 200) {
+                        stream.abort();
+                        return skip(new Error('Unexpected response ' + response.statusCode));
+                    }
 
-                    message: messageData,
-                    messageJson: JSON.stringify(messageData).replace(/\//g, '\\u002f'),
+                    streamResponse = response;
+                    stream.removeListener('error', skip);
+                    stream.once('error', fail);
+                    response.once('error', fail);
+                    response.once('aborted', onAborted);
+
+                    if (archive) {
+                        let name = tools.getUniqueFilename((messageData.subject || '').substr(0, 100) + '.eml', usedNames, 'message-' + messageData.id + '.eml');
+                        archive.once('entry', written);
+                        return archive.append(response, {
+                            name,
+                            date: date ? new Date(date) : new Date()
+                        });
+                    }
 
-                    csrfToken: req.csrfToken()
-                };
+                    res.write(mbox.formatFromLine(messageData.from && messageData.from.address, date));
+                    let escape = new mbox.MboxEscape();
+                    escape.once('end', () => {
+                        // empty line between messages
+                        res.write('\n');
+                        written();
+                    });
+                    response.pipe(escape).pipe(
+                        res,
+                        { end: false }
+                    );
+                });
+            };
 
-                if (selectedMailbox.path === 'INBOX') {
-                    data.inboxUnseen = selectedMailbox.unseen;
-                }
+            if (!progressId) {
+                return processNext();
+            }
 
-                res.render('webmail/message', data);
+            exportProgress.start(req.user, progressId, page.total, err => {
+                logProgressError(err);
+                processNext();
             });
         });
     });
 });
 
-router.get('/:mailbox/attachment/:message/:attachment', (req, res) => {
+router.get('/:mailbox/audit/:message', loadPageData, (req, res, next) => {
     const schema = Joi.object().keys({
         mailbox: Joi.string()
             .hex()
@@ -831,10 +2532,6 @@ router.get('/:mailbox/attachment/:message/:attachment', (req, res) => {
             .required(),
         message: Joi.number()
             .min(1)
-            .required(),
-        attachment: Joi.string()
-            .regex(/^ATT\d+$/i)
-            .uppercase()
             .required()
     });
 
@@ -853,18 +2550,58 @@ router.get('/:mailbox/attachment/:message/:attachment', (req, res) => {
         return res.redirect('/webmail');
     }
 
-    apiClient.attachment.get(req, res, req.user, result.value.mailbox, result.value.message, result.value.attachment);
+    apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+        if (err) {
+            return next(err);
+        }
+
+        let selectedMailbox = mailboxes.find(entry => entry.id === result.value.mailbox);
+        if (!selectedMailbox) {
+            return res.redirect('/webmail');
+        }
+        selectedMailbox.selected = true;
+
+        apiClient.messages.get(req.user, selectedMailbox.id, result.value.message, (err, messageData) => {
+            if (err) {
+                return next(err);
+            }
+
+            if (!messageData) {
+                return res.redirect('/webmail');
+            }
+
+            apiClient.messages.events(req.user, selectedMailbox.id, messageData.id, (err, events) => {
+                if (err) {
+                    return next(err);
+                }
+
+                res.render('webmail/audit', {
+                    layout: 'layout-webmail',
+                    activeWebmail: true,
+                    mailboxes: prepareMailboxList(mailboxes),
+                    mailbox: selectedMailbox,
+
+                    messageData,
+                    events: events.map(formatAuditEvent),
+
+                    csrfToken: req.csrfToken()
+                });
+            });
+        });
+    });
 });
 
-router.get('/:mailbox/raw/:message.eml', (req, res) => {
+router.get('/:mailbox/thread/:thread', loadPageData, (req, res, next) => {
     const schema = Joi.object().keys({
         mailbox: Joi.string()
             .hex()
             .lowercase()
             .length(24)
             .required(),
-        message: Joi.number()
-            .min(1)
+        thread: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
             .required()
     });
 
@@ -883,10 +2620,111 @@ router.get('/:mailbox/raw/:message.eml', (req, res) => {
         return res.redirect('/webmail');
     }
 
-    apiClient.messages.raw(req, res, req.user, result.value.mailbox, result.value.message);
+    apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+        if (err) {
+            return next(err);
+        }
+
+        mailboxes = prepareMailboxList(mailboxes);
+
+        let selectedMailbox = mailboxes.find(entry => entry.id === result.value.mailbox);
+        if (!selectedMailbox) {
+            return res.redirect('/webmail');
+        }
+        selectedMailbox.selected = true;
+
+        // search covers all mailboxes, so replies from Sent are included as well
+        apiClient.messages.search(req.user, { thread: result.value.thread, limit: MAX_THREAD_MESSAGES }, (err, response) => {
+            if (err) {
+                return next(err);
+            }
+
+            let listing = ((response && response.results) || []).sort((a, b) => new Date(a.date) - new Date(b.date));
+            if (!listing.length) {
+                req.flash('danger', 'Selected conversation was not found');
+                return res.redirect('/webmail/' + selectedMailbox.id);
+            }
+
+            let messages = [];
+            let finish = () => {
+                // only the newest message is expanded and marked as seen, the rest are expanded on request
+                let expanded = messages[messages.length - 1];
+                if (expanded) {
+                    expanded.expanded = true;
+                }
+                messages.forEach(message => {
+                    message.unseen = !message.seen && !message.expanded;
+                });
+                if (expanded && !expanded.seen) {
+                    apiClient.messages.update(req.user, expanded.mailbox, { message: expanded.id, seen: true }, err => {
+                        if (err) {
+                            log.error('Thread', 'Failed to mark message as seen user=%s message=%s error=%s', req.user.id, expanded.id, err.message);
+                        }
+                    });
+                }
+
+                res.render('webmail/thread', {
+                    layout: 'layout-webmail',
+                    activeWebmail: true,
+                    mailboxes,
+                    mailbox: selectedMailbox,
+
+                    subject: messages.length ? messages[0].subject : '',
+                    messages,
+                    messagesJson: JSON.stringify(
+                        messages.map(message => ({
+                            mailbox: message.mailbox,
+                            id: message.id,
+                            html: message.html,
+                            expanded: !!message.expanded,
+                            unseen: message.unseen
+                        }))
+                    ).replace(/\//g, '\\u002f'),
+                    truncated: response.total > listing.length,
+
+                    csrfToken: req.csrfToken()
+                });
+            };
+
+            let pos = 0;
+            let processNext = () => {
+                if (pos >= listing.length) {
+                    return finish();
+                }
+                let entry = listing[pos++];
+                apiClient.messages.get(req.user, entry.mailbox, entry.id, { markAsSeen: false }, (err, messageData) => {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    if (messageData) {
+                        let msgMailbox = mailboxes.find(box => box.id === entry.mailbox);
+
+                        messageData.mailbox = entry.mailbox;
+                        messageData.mailboxName = msgMailbox ? msgMailbox.name : false;
+                        // flags are taken from the search listing
+                        messageData.seen = !!entry.seen;
+                        messageData.fromHtml = tools.getAddressesHTML(messageData.from || messageData.sender || { name: '< >' });
+                        messageData.toHtml = tools.getAddressesHTML([].concat(messageData.to || []).concat(messageData.cc || []));
+                        messageData.html = (messageData.html || []).map(html =>
+                            html.replace(/attachment:(ATT\d+)/g, (str, aid) => '/webmail/' + entry.mailbox + '/attachment/' + messageData.id + '/' + aid)
+                        );
+                        (messageData.attachments || []).forEach(attachment => {
+                            attachment.previewable = !!tools.getPreviewType(attachment.contentType, attachment.filename);
+                        });
+                        messages.push(messageData);
+                    }
+
+                    setImmediate(processNext);
+                });
+            };
+
+            processNext();
+        });
+    });
 });
 
-router.get('/:mailbox/settings', (req, res, next) => {
+router.get('/:mailbox/settings', loadPageData, (req, res, next) => {
     const schema = Joi.object().keys({
         mailbox: Joi.string()
             .hex()
@@ -955,7 +2793,7 @@ router.get('/:mailbox/settings', (req, res, next) => {
     });
 });
 
-router.post('/:mailbox/settings', (req, res) => {
+router.post('/:mailbox/settings', loadPageData, (req, res) => {
     const schema = Joi.object().keys({
         mailbox: Joi.string()
             .hex()
@@ -1071,7 +2909,156 @@ router.post('/:mailbox/settings', (req, res) => {
     );
 });
 
-router.post('/:mailbox/delete', (req, res) => {
+router.post('/:mailbox/import', loadPageData, (req, res, next) => {
+    const schema = Joi.object().keys({
+        mailbox: Joi.string()
+            .hex()
+            .lowercase()
+            .length(24)
+            .required()
+    });
+
+    let result = Joi.validate(req.params, schema, {
+        abortEarly: false,
+        convert: true,
+        allowUnknown: true
+    });
+
+    if (result.error) {
+        if (result.error && result.error.details) {
+            result.error.details.forEach(detail => {
+                req.flash('danger', detail.message);
+            });
+        }
+        return res.redirect('/webmail');
+    }
+
+    let mailbox = result.value.mailbox;
+
+    apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
+        if (err) {
+            return next(err);
+        }
+
+        let selectedMailbox = mailboxes.find(entry => entry.id === mailbox);
+        if (!selectedMailbox) {
+            req.flash('danger', 'Selected mailbox does not exist');
+            return res.redirect('/webmail');
+        }
+
+        // uploaded files are parsed directly from the request stream instead of buffering these in memory
+        let busboy;
+        try {
+            busboy = new Busboy({
+                headers: req.headers,
+                limits: {
+                    files: MAX_IMPORT_FILES
+                }
+            });
+        } catch (E) {
+            req.flash('danger', 'Invalid upload request');
+            return res.redirect('/webmail/' + mailbox + '/settings');
+        }
+
+        let results = [];
+        let fileErrors = [];
+        let files = 0;
+        let pending = 0;
+        let uploadFinished = false;
+        let rendered = false;
+
+        let render = () => {
+            if (rendered || !uploadFinished || pending) {
+                return;
+            }
+            rendered = true;
+
+            if (!files) {
+                req.flash('danger', 'No files were uploaded');
+                return res.redirect('/webmail/' + mailbox + '/settings');
+            }
+
+            let failed = results.filter(entry => entry.error).length;
+
+            log.info('Import', 'Imported messages user=%s mailbox=%s imported=%s failed=%s', req.user.id, mailbox, results.length - failed, failed);
+
+            selectedMailbox.selected = true;
+            res.render('webmail/import', {
+                layout: 'layout-webmail',
+                activeWebmail: true,
+                mailboxes: prepareMailboxList(mailboxes),
+                mailbox: selectedMailbox,
+
+                results,
+                fileErrors,
+                importedStr: humanize.numberFormat(results.length - failed, 0, ',', ' '),
+                failedStr: failed ? humanize.numberFormat(failed, 0, ',', ' ') : false,
+
+                csrfToken: req.csrfToken()
+            });
+        };
+
+        busboy.on('file', (fieldname, file, filename) => {
+            if (fieldname !== 'messages' || !filename) {
+                return file.resume();
+            }
+
+            files++;
+            pending++;
+
+            messageImport.parse(
+                file,
+                filename,
+                (message, done) => {
+                    let info = messageImport.getMessageInfo(message.raw, message.date);
+                    let entry = {
+                        index: results.length + 1,
+                        filename,
+                        subject: info.subject || message.name || ''
+                    };
+                    results.push(entry);
+
+                    if (message.error) {
+                        entry.error = message.error;
+                        return done();
+                    }
+
+                    apiClient.messages.upload(req.user, mailbox, message.raw, info, (err, response) => {
+                        if (err) {
+                            entry.error = err.message;
+                        } else {
+                            entry.id = response.message && response.message.id;
+                        }
+                        done();
+                    });
+                },
+                err => {
+                    if (err) {
+                        fileErrors.push({ filename, error: err.message });
+                    }
+                    pending--;
+                    render();
+                }
+            );
+        });
+
+        busboy.once('error', err => {
+            log.error('Import', 'Failed to process upload user=%s mailbox=%s error=%s', req.user.id, mailbox, err.message);
+            fileErrors.push({ filename: '', error: 'Failed to process upload' });
+            uploadFinished = true;
+            render();
+        });
+
+        busboy.once('finish', () => {
+            uploadFinished = true;
+            render();
+        });
+
+        req.pipe(busboy);
+    });
+});
+
+router.post('/:mailbox/delete', loadPageData, (req, res) => {
     const schema = Joi.object().keys({
         mailbox: Joi.string()
             .hex()
@@ -1108,15 +3095,23 @@ router.post('/:mailbox/delete', (req, res) => {
 
 function renderMailbox(req, res, next) {
     const schema = Joi.object().keys({
-        mailbox: Joi.string()
-            .hex()
-            .length(24)
-            .allow('starred', 'search')
+        mailbox: Joi.alternatives()
+            .try(
+                Joi.string()
+                    .hex()
+                    .length(24)
+                    .allow('starred', 'search'),
+                Joi.string().regex(/^saved-[a-f0-9]{24}$/, 'saved search')
+            )
             .empty(''),
         unseen: Joi.boolean()
             .truthy(['Y', 'true', 'yes', 'on', 1])
             .falsy(['N', 'false', 'no', 'off', 0, ''])
             .default(false),
+        threaded: Joi.boolean()
+            .truthy(['Y', 'true', 'yes', 'on', 1])
+            .falsy(['N', 'false', 'no', 'off', 0, ''])
+            .empty(''),
         query: Joi.string()
             .max(255)
             .empty(''),
@@ -1160,6 +3155,12 @@ function renderMailbox(req, res, next) {
 
     let filterUnseen = result.value.unseen;
 
+    // threaded mode is remembered for the session, so it also applies to listings reloaded over the API
+    if (typeof result.value.threaded === 'boolean') {
+        req.session.threaded = result.value.threaded;
+    }
+    let threaded = !!req.session.threaded;
+
     apiClient.mailboxes.list(req.user, true, (err, mailboxes) => {
         if (err) {
             return next(err);
@@ -1196,6 +3197,18 @@ function renderMailbox(req, res, next) {
             };
         }
 
+        let savedSearch = savedSearches.parseFolder(mailbox) && (res.locals.savedSearches || []).find(search => search.folder === mailbox);
+        if (savedSearch) {
+            mailboxExists = true;
+            selectedMailbox = {
+                id: savedSearch.folder,
+                name: savedSearch.name,
+                icon: 'search',
+                showOrigin: true,
+                savedSearch: savedSearch.id
+            };
+        }
+
         if (!mailboxExists) {
             req.flash('danger', 'Selected mailbox does not exist');
             return res.redirect('/webmail');
@@ -1203,6 +3216,9 @@ function renderMailbox(req, res, next) {
 
         selectedMailbox.icon = getIcon(selectedMailbox);
 
+        // conversations of the listed messages are looked up using the same listing options
+        let threadListing;
+
         let makeRequest = done => {
             if (mailbox === 'starred') {
                 let data = {
@@ -1213,6 +3229,7 @@ function renderMailbox(req, res, next) {
                     searchable: true,
                     unseen: filterUnseen
                 };
+                threadListing = { search: data };
                 return apiClient.messages.search(req.user, data, done);
             } else if (mailbox === 'search') {
                 let data = {
@@ -1223,41 +3240,22 @@ function renderMailbox(req, res, next) {
                     unseen: filterUnseen
                 };
 
-                const searchString = SearchString.parse(searchQuery);
-                let keys = searchString.getParsedQuery();
-                let text = searchString
-                    .getTextSegments()
-                    .map(text => text.text)
-                    .join(' ');
-
-                Object.keys(keys).forEach(key => {
-                    let fkey = key.toLowerCase().trim();
-                    if (['from', 'to', 'subject'].includes(fkey)) {
-                        data[fkey] = keys[key].join(' ');
-                    }
-                    switch (fkey) {
-                        case 'flagged':
-                            if (/yes|true|1|y/i.test(keys[key].join(' '))) {
-                                data.flagged = true;
-                            }
-                            break;
-                        case 'unseen':
-                            if (/yes|true|1|y/i.test(keys[key].join(' '))) {
-                                data.unseen = true;
-                            }
-                            break;
-                        case 'start':
-                        case 'end': {
-                            let date = new Date(keys[key].shift());
-                            if (date.toString() !== 'Invalid Date') {
-                                data.date[fkey] = date.toISOString();
-                            }
-                            break;
-                        }
-                    }
-                });
-                data.query = text;
+                // unsupported terms are skipped, the rest of the query is still used
+                applySearchQuery(data, searchQuery, mailboxes).forEach(error => req.flash('warning', error));
 
+                threadListing = { search: data };
+                return apiClient.messages.search(req.user, data, done);
+            } else if (savedSearch) {
+                let data = Object.assign(savedSearches.getSearchArgs(savedSearch, mailboxes), {
+                    next: result.value.next,
+                    previous: result.value.previous,
+                    page: result.value.page || 1,
+                    limit: config.www.listSize
+                });
+                if (filterUnseen) {
+                    data.unseen = true;
+                }
+                threadListing = { search: data };
                 return apiClient.messages.search(req.user, data, done);
             } else {
                 let data = {
@@ -1267,11 +3265,26 @@ function renderMailbox(req, res, next) {
                     limit: config.www.listSize,
                     unseen: filterUnseen
                 };
+                threadListing = { mailbox, unseen: filterUnseen };
                 apiClient.messages.list(req.user, mailbox, data, done);
             }
         };
 
-        makeRequest((err, result) => {
+        let loadListing = done =>
+            makeRequest((err, result) => {
+                if (err || !threaded) {
+                    return done(err, result);
+                }
+                threads.group(req.user, threadListing, result.results, (err, messages) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    result.results = messages;
+                    done(null, result);
+                });
+            });
+
+        loadListing((err, result) => {
             if (err) {
                 return next(err);
             }
@@ -1281,6 +3294,7 @@ function renderMailbox(req, res, next) {
                 activeWebmail: true,
                 mailboxes,
                 mailbox: selectedMailbox,
+                savedSearches: markSelectedSearch(res.locals.savedSearches, mailbox),
 
                 query: searchQuery,
 
@@ -1296,11 +3310,14 @@ function renderMailbox(req, res, next) {
                 previousPage: Math.max(result.page - 1, 1),
 
                 filterUnseen: filterUnseen ? 'true' : '',
+                threaded,
 
+                isSearch: mailbox === 'search',
                 isInbox: selectedMailbox.path === 'INBOX',
                 isTrash: selectedMailbox.specialUse === '\\Trash',
                 isSent: selectedMailbox.specialUse === '\\Sent',
                 isJunk: selectedMailbox.specialUse === '\\Junk',
+                isArchive: selectedMailbox.specialUse === '\\Archive',
 
                 skipTrash: ['\\Trash', '\\Junk'].includes(selectedMailbox.specialUse),
 
@@ -1328,11 +3345,27 @@ function renderMailbox(req, res, next) {
                 req.session.successlog = false;
             }
 
-            res.render('webmail/index', pageData);
+            // messages that the scheduler failed to send since the last page load
+            scheduler.takeFailures(req.user, (err, failures) => {
+                if (err) {
+                    log.error('Scheduler', 'Failed to load failure notices for user=%s error=%s', req.user.id, err.message);
+                }
+                (failures || []).forEach(failure => {
+                    req.flash('danger', 'Message' + (failure.subject ? ' "' + failure.subject + '"' : '') + ' could not be sent: ' + failure.message);
+                });
+                res.render('webmail/index', pageData);
+            });
         });
     });
 }
 
+// converts a search query string into search API arguments, returns a list of errors for unsupported terms
+function applySearchQuery(data, query, mailboxes) {
+    let parsed = queryParser.parse(query, mailboxes);
+    Object.assign(data, parsed.args);
+    return parsed.errors;
+}
+
 function getParents(mailboxes, mailbox, parentPath) {
     let parents = new Map();
 
@@ -1406,6 +3439,77 @@ function getIcon(mailbox) {
     return false;
 }
 
+function formatAuditEvent(event) {
+    switch ((event.action || '').toUpperCase()) {
+        case 'STORE':
+            event.actionDescription = 'Stored to mailbox';
+            event.actionLabel = 'success';
+            break;
+        case 'FORWARD':
+            event.actionDescription = 'Forwarded';
+            event.actionLabel = 'info';
+            event.toTitle = 'Forwarded to';
+            break;
+        case 'AUTOREPLY':
+            event.actionDescription = 'Autoreply sent';
+            event.actionLabel = 'info';
+            event.toTitle = 'Autoreply to';
+            break;
+        case 'QUEUED':
+            event.actionDescription = 'Queued for delivery';
+            event.actionLabel = 'info';
+            break;
+        case 'ACCEPTED':
+            event.actionDescription = 'Accepted by recipient server';
+            event.actionLabel = 'success';
+            break;
+        case 'DEFERRED':
+            event.actionDescription = 'Delivery deferred';
+            event.actionLabel = 'warning';
+            break;
+        case 'REJECTED':
+        case 'BOUNCED':
+            event.actionDescription = 'Delivery failed';
+            event.actionLabel = 'danger';
+            break;
+        case 'DROP':
+        case 'DROPPED':
+            event.actionDescription = 'Message dropped';
+            event.actionLabel = 'danger';
+            break;
+    }
+
+    event.time = event.created || event.time;
+
+    if (Array.isArray(event.to)) {
+        event.to = event.to.join(', ');
+    }
+
+    if (Array.isArray(event.targets) && event.targets.length) {
+        event.targetList = event.targets.map((target, i) => {
+            let seq = (i + 1).toString(16);
+            let text;
+            switch (target.type) {
+                case 'http':
+                    text = 'Upload to';
+                    break;
+                case 'relay':
+                    text = 'Relay through';
+                    break;
+                default:
+                    text = 'Send to';
+            }
+            return {
+                seq: '0'.repeat(3 - seq.length) + seq,
+                text,
+                value: target.value || target.url || ''
+            };
+        });
+    }
+
+    return event;
+}
+
 function prepareMailboxList(mailboxes, skipStarred) {
     if (!skipStarred) {
         for (let i = 0, len = mailboxes.length; i < len; i++) {
@@ -1458,4 +3562,371 @@ function prepareMailboxList(mailboxes, skipStarred) {
     return mailboxes;
 }
 
+// loads message information and finds the requested attachment from it
+function getAttachmentData(user, mailbox, message, attachment, callback) {
+    apiClient.messages.get(user, mailbox, message, (err, messageData) => {
+        if (err) {
+            return callback(err);
+        }
+        let attachmentData = ((messageData && messageData.attachments) || []).find(entry => entry.id === attachment);
+        if (!attachmentData) {
+            return callback(new Error('Attachment was not found'));
+        }
+        callback(null, messageData, attachmentData);
+    });
+}
+
+// converts a message parsed by mailparser into a structure similar to the one used by webmail/message.hbs
+function formatNestedMessage(parsed) {
+    let info = [];
+    let getAddresses = key => (parsed[key] && parsed[key].value) || [];
+
+    info.push({
+        key: 'From',
+        isHtml: true,
+        value: tools.getAddressesHTML(getAddresses('from').length ? getAddresses('from') : { name: '< >' }, true)
+    });
+
+    [{ key: 'to', title: 'To' }, { key: 'cc', title: 'Cc' }, { key: 'replyTo', title: 'Reply To' }].forEach(entry => {
+        if (getAddresses(entry.key).length) {
+            info.push({
+                key: entry.title,
+                isHtml: true,
+                value: tools.getAddressesHTML(getAddresses(entry.key), true)
+            });
+        }
+    });
+
+    if (parsed.date) {
+        info.push({
+            key: 'Time',
+            isDate: true,
+            value: parsed.date.toISOString()
+        });
+    }
+
+    return {
+        subject: parsed.subject || '',
+        info,
+        // cid: links are already replaced with data: URIs by the parser
+        html: [].concat(parsed.html || parsed.textAsHtml || []),
+        attachments: (parsed.attachments || [])
+            .filter(attachment => !attachment.related)
+            .map(attachment => ({
+                filename: attachment.filename || 'attachment',
+                contentType: attachment.contentType,
+                sizeKb: Math.round(attachment.size / 1024)
+            }))
+    };
+}
+
+// inline images of a stored message are referenced as "attachment:ATTnn", these are converted into
+// webmail URLs, so the images would be displayed in the editor and could be embedded again when sending
+function getComposeHtml(html, mailbox, message) {
+    return [].concat(html || []).map(html => html.replace(/attachment:(ATT\d+)/g, (str, aid) => '/webmail/' + mailbox + '/attachment/' + message + '/' + aid));
+}
+
+// Replaces references to uploaded files and to attachments of stored messages in image URLs with cid: references
+// and returns the referenced files as inline attachments. Images that can not be loaded are left as is.
+// IDs of the embedded uploads are returned as well, so these could be removed once the message is stored.
+function embedInlineImages(user, session, html, callback) {
+    let urls = new Map();
+    let imageRe = /<img\b[^>]*?\ssrc\s*=\s*["']([^"']+)["']/gi;
+    let image;
+    while ((image = imageRe.exec(html || ''))) {
+        let src = image[1];
+        // pasted images might use absolute URLs
+        let path = src.replace(/^https?:\/\/[^/]+/i, '');
+        let match;
+        if ((match = path.match(/^\/api\/upload\/([a-f0-9]{24})$/))) {
+            urls.set(src, { path, upload: match[1] });
+        } else if ((match = path.match(/^\/webmail\/([a-f0-9]{24})\/attachment\/(\d+)\/(ATT\d+)$/))) {
+            urls.set(src, { path, mailbox: match[1], message: Number(match[2]), attachment: match[3] });
+        }
+    }
+
+    let attachments = [];
+    let uploadIds = [];
+    let cids = new Map();
+    let pathCids = new Map();
+    let messageCache = new Map();
+    let entries = Array.from(urls.entries());
+    let pos = 0;
+
+    let addAttachment = (src, path, filename, contentType, content) => {
+        let cid = new ObjectID().toString() + '@webmail';
+        cids.set(src, cid);
+        pathCids.set(path, cid);
+        attachments.push({
+            filename,
+            contentType,
+            content: content.toString('base64'),
+            encoding: 'base64',
+            cid
+        });
+    };
+
+    // message data is needed for attachment content types, referenced messages are loaded only once
+    let getMessage = (mailbox, message, done) => {
+        let key = mailbox + ':' + message;
+        if (messageCache.has(key)) {
+            return done(null, messageCache.get(key));
+        }
+        apiClient.messages.get(user, mailbox, message, (err, messageData) => {
+            if (err) {
+                return done(err);
+            }
+            messageCache.set(key, messageData);
+            done(null, messageData);
+        });
+    };
+
+    let processNext = () => {
+        if (pos >= entries.length) {
+            if (cids.size) {
+                html = html.replace(/(<img\b[^>]*?\ssrc\s*=\s*["'])([^"']+)(["'])/gi, (str, prefix, src, suffix) =>
+                    cids.has(src) ? prefix + 'cid:' + cids.get(src) + suffix : str
+                );
+            }
+            return callback(null, html, attachments, uploadIds);
+        }
+
+        let src = entries[pos][0];
+        let ref = entries[pos][1];
+        pos++;
+
+        if (pathCids.has(ref.path)) {
+            // same image is referenced using a different URL
+            cids.set(src, pathCids.get(ref.path));
+            return setImmediate(processNext);
+        }
+
+        let skip = err => {
+            log.error('Compose', 'Failed to embed inline image user=%s src=%s error=%s', user.id, src, err.message);
+            setImmediate(processNext);
+        };
+
+        if (ref.upload) {
+            return uploads.get(user, session, ref.upload, (err, upload, content) => {
+                if (err || !upload) {
+                    return skip(err || new Error('Upload not found'));
+                }
+                addAttachment(src, ref.path, upload.filename, upload.contentType, content);
+                uploadIds.push(ref.upload);
+                setImmediate(processNext);
+            });
+        }
+
+        getMessage(ref.mailbox, ref.message, (err, messageData) => {
+            if (err) {
+                return skip(err);
+            }
+            let attachmentData = ((messageData && messageData.attachments) || []).find(entry => entry.id === ref.attachment);
+            if (!attachmentData) {
+                return skip(new Error('Attachment not found'));
+            }
+            apiClient.attachment.fetch(user, ref.mailbox, ref.message, ref.attachment, MAX_INLINE_IMAGE_SIZE, (err, content) => {
+                if (err) {
+                    return skip(err);
+                }
+                addAttachment(src, ref.path, attachmentData.filename || 'image', attachmentData.contentType, content);
+                setImmediate(processNext);
+            });
+        });
+    };
+
+    processNext();
+}
+
+// regular attachments of a stored message that can be carried over to a new message, eg. when a draft is saved
+// again or when a message is forwarded
+function listMessageAttachments(messageData) {
+    return ((messageData && messageData.attachments) || [])
+        .filter(attachment => !attachment.related)
+        .map(attachment => ({
+            id: attachment.id,
+            filename: attachment.filename || 'attachment',
+            contentType: attachment.contentType,
+            sizeKb: attachment.sizeKb
+        }));
+}
+
+// budget: {remaining} bytes that can still be loaded for the composed message, returns false if the size does not fit
+function useAttachmentBudget(budget, size) {
+    if (size > budget.remaining) {
+        return false;
+    }
+    budget.remaining -= size;
+    return true;
+}
+
+function getBudgetError() {
+    return new Error('Attachments are too large, the total size is limited to ' + Math.round(uploads.MAX_TOTAL_SIZE / (1024 * 1024)) + 'MB');
+}
+
+// loads selected regular attachments of a stored message in the attachment format used by the message submission API
+function fetchMessageAttachments(user, mailbox, message, ids, budget, callback) {
+    ids = [].concat(ids || []);
+    if (!ids.length) {
+        return callback(null, []);
+    }
+
+    apiClient.messages.get(user, mailbox, message, { markAsSeen: false }, (err, messageData) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let list = listMessageAttachments(messageData).filter(attachment => ids.includes(attachment.id));
+        let attachments = [];
+        let pos = 0;
+        let processNext = () => {
+            if (pos >= list.length) {
+                return callback(null, attachments);
+            }
+            let attachment = list[pos++];
+            if (!budget.remaining) {
+                return callback(getBudgetError());
+            }
+            let maxSize = Math.min(MAX_DRAFT_ATTACHMENT_SIZE, budget.remaining);
+            apiClient.attachment.fetch(user, mailbox, message, attachment.id, maxSize, (err, content) => {
+                if (err) {
+                    // attachment sizes in the message listing are not exact, so the budget is only checked while loading
+                    if (maxSize < MAX_DRAFT_ATTACHMENT_SIZE && /too large/.test(err.message)) {
+                        return callback(getBudgetError());
+                    }
+                    return callback(new Error('Failed to load attachment ' + attachment.filename));
+                }
+                if (!useAttachmentBudget(budget, content.length)) {
+                    return callback(getBudgetError());
+                }
+                attachments.push({
+                    filename: attachment.filename,
+                    contentType: attachment.contentType,
+                    content: content.toString('base64'),
+                    encoding: 'base64'
+                });
+                processNext();
+            });
+        };
+        processNext();
+    });
+}
+
+// messages that are forwarded as attachments are referenced as "mailbox:message", returns the listing
+// info for the compose form
+function listAttachedMessages(user, refs, callback) {
+    refs = [].concat(refs || []);
+
+    let usedNames = new Set();
+    let list = [];
+    let pos = 0;
+    let processNext = () => {
+        if (pos >= refs.length) {
+            return callback(null, list);
+        }
+        let ref = refs[pos++];
+        let parts = ref.split(':');
+        apiClient.messages.get(user, parts[0], Number(parts[1]), { markAsSeen: false }, (err, messageData) => {
+            if (err) {
+                return callback(err);
+            }
+            list.push({
+                ref,
+                mailbox: parts[0],
+                message: Number(parts[1]),
+                filename: tools.getUniqueFilename((messageData.subject || '').substr(0, 100) + '.eml', usedNames, 'message.eml'),
+                size: messageData.size || 0,
+                sizeKb: Math.ceil((messageData.size || 0) / 1024)
+            });
+            processNext();
+        });
+    };
+    processNext();
+}
+
+// loads the source of messages that are forwarded as attachments
+function loadAttachedMessages(user, refs, budget, callback) {
+    listAttachedMessages(user, refs, (err, list) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let attachments = [];
+        let pos = 0;
+        let processNext = () => {
+            if (pos >= list.length) {
+                return callback(null, attachments);
+            }
+            let entry = list[pos++];
+            if (entry.size > budget.remaining) {
+                return callback(getBudgetError());
+            }
+            apiClient.messages.fetchRaw(user, entry.mailbox, entry.message, Math.min(MAX_ATTACHED_MESSAGE_SIZE, budget.remaining), (err, content) => {
+                if (err) {
+                    return callback(new Error('Failed to load forwarded message ' + entry.filename));
+                }
+                if (!useAttachmentBudget(budget, content.length)) {
+                    return callback(getBudgetError());
+                }
+                attachments.push({
+                    filename: entry.filename,
+                    contentType: 'message/rfc822',
+                    content: content.toString('base64'),
+                    encoding: 'base64'
+                });
+                processNext();
+            });
+        };
+        processNext();
+    });
+}
+
+// saved queries must be valid, otherwise the virtual folder would silently list unexpected messages
+function checkSavedQuery(user, query, callback) {
+    apiClient.mailboxes.list(user, false, (err, mailboxes) => {
+        if (err) {
+            return callback(err);
+        }
+        let errors = queryParser.parse(query, mailboxes).errors;
+        if (errors.length) {
+            return callback(new Error(errors.join('. ')));
+        }
+        callback();
+    });
+}
+
+// returns a copy of the saved search list where the currently open virtual folder is marked as selected
+function markSelectedSearch(searches, folder) {
+    return (searches || []).map(search => Object.assign({}, search, { selected: search.folder === folder }));
+}
+
+// loads identity signatures, message templates and user preferences for the message composer
+function loadComposeResources(user, callback) {
+    settings.get(user, (err, userSettings) => {
+        if (err) {
+            return callback(err);
+        }
+        signatures.list(user, (err, signatureList) => {
+            if (err) {
+                return callback(err);
+            }
+            messageTemplates.list(user, (err, templateList) => {
+                if (err) {
+                    return callback(err);
+                }
+                callback(null, {
+                    settings: userSettings,
+                    signatures: signatureList,
+                    templates: templateList.map(template => ({
+                        id: template.id,
+                        name: template.name,
+                        subject: template.subject,
+                        html: template.html
+                    }))
+                });
+            });
+        });
+    });
+}
+
 module.exports = router;
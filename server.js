@@ -10,6 +10,7 @@ const https = require('https');
 const http = require('http');
 const pem = require('pem');
 const db = require('./lib/db');
+const scheduler = require('./lib/scheduler');
 
 const port = config.www.port;
 const host = config.www.host;
@@ -30,6 +31,9 @@ db.connect(err => {
     const app = require('./app'); // eslint-disable-line global-require
     app.set('port', port);
 
+    // start sending scheduled messages
+    scheduler.start();
+
     /**
      * Create HTTP server.
      */